@@ -1,30 +1,185 @@
 import librosa
+import numpy as np
 import sys
 import json
 
+HOP_LENGTH = 512
+HOOK_SECONDS = 30
+
+KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
+
+# Krumhansl-Kessler probe-tone ratings, tonic first
+MAJOR_PROFILE = np.array([6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88])
+MINOR_PROFILE = np.array([6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17])
+
+# how sharply key confidence falls off as a candidate's correlation drops below the best one
+KEY_SHARPNESS = 20
+
+MIN_BPM = 50
+MAX_BPM = 220
+# local tempo estimates within 4% count as agreeing with a candidate
+BPM_TOLERANCE = 0.04
+# below this the double-time reading is offered, above it the half-time one (70 <-> 140 trap tempos)
+DOUBLE_TIME_BELOW = 100
+
+
+def energy_curve(y, sr):
+    # loudness + onset density, each scaled to 0-1 so neither dominates
+    rms = librosa.feature.rms(y=y, hop_length=HOP_LENGTH)[0]
+    onset = librosa.onset.onset_strength(y=y, sr=sr, hop_length=HOP_LENGTH)
+    n = min(len(rms), len(onset))
+    rms, onset = rms[:n], onset[:n]
+    return rms / (rms.max() or 1) + onset / (onset.max() or 1)
+
+
+def find_sections(y, sr, chroma, energy, beats, duration):
+    mfcc = librosa.feature.mfcc(y=y, sr=sr, hop_length=HOP_LENGTH)
+    n = min(len(energy), mfcc.shape[1], chroma.shape[1])
+    features = np.vstack([
+        librosa.util.normalize(mfcc[:, :n], axis=1),
+        chroma[:, :n],
+        energy[np.newaxis, :n]
+    ])
+
+    # roughly one section per 20s, clustered on beat-synced features like librosa's segmentation example
+    k = int(np.clip(round(duration / 20), 2, 10))
+    beats = beats[beats < n]
+    if len(beats) < k:
+        return []
+
+    synced = librosa.util.sync(features, beats, aggregate=np.median)
+    edges = librosa.util.fix_frames(beats, x_min=0, x_max=n)
+    bounds = [edges[i] for i in librosa.segment.agglomerative(synced, k)] + [n]
+
+    sections = []
+    for start, end in zip(bounds[:-1], bounds[1:]):
+        if end <= start:
+            continue
+        sections.append({
+            'start': float(librosa.frames_to_time(start, sr=sr, hop_length=HOP_LENGTH)),
+            'end': float(librosa.frames_to_time(end, sr=sr, hop_length=HOP_LENGTH)),
+            'energy': float(energy[start:end].mean())
+        })
+
+    if not sections:
+        return []
+
+    peak = max(section['energy'] for section in sections) or 1
+    for section in sections:
+        section['start'] = round(section['start'], 2)
+        section['end'] = round(min(section['end'], duration), 2)
+        section['energy'] = round(section['energy'] / peak, 2)
+    return sections
+
+
+def detect_key(chroma):
+    # correlate the average chroma with all 24 rotated key profiles; confidence is a softmax over
+    # the correlations, so relative major/minor ties come out near 50/50 instead of a coin flip
+    profile = chroma.mean(axis=1)
+    scores = []
+    for tonic in range(12):
+        for suffix, template in (('', MAJOR_PROFILE), ('m', MINOR_PROFILE)):
+            r = np.corrcoef(profile, np.roll(template, tonic))[0, 1]
+            scores.append((KEY_NAMES[tonic] + suffix, 0.0 if np.isnan(r) else float(r)))
+    scores.sort(key=lambda score: score[1], reverse=True)
+
+    correlations = np.array([r for _, r in scores])
+    weights = np.exp(KEY_SHARPNESS * (correlations - correlations[0]))
+    confidence = weights / weights.sum()
+
+    return [
+        {'key': key, 'confidence': round(float(c), 2), 'correlation': round(r, 3)}
+        for (key, r), c in zip(scores[:3], confidence[:3])
+    ]
+
+
+def detect_bpm(onset_env, sr, bpm):
+    # confidence is how much of the track's local tempo agrees with the overall estimate
+    tempo_fn = getattr(librosa.feature, 'tempo', None) or librosa.beat.tempo
+    local = tempo_fn(onset_envelope=onset_env, sr=sr, hop_length=HOP_LENGTH, aggregate=None)
+    local = local[np.isfinite(local) & (local > 0)]
+
+    def share(value):
+        if not len(local):
+            return 0.0
+        return round(float(np.mean(np.abs(local - value) <= value * BPM_TOLERANCE)), 2)
+
+    candidates = [{'bpm': bpm, 'confidence': share(bpm), 'relation': 'detected'}]
+
+    alternative = bpm * 2 if bpm < DOUBLE_TIME_BELOW else bpm / 2
+    if MIN_BPM <= alternative <= MAX_BPM:
+        alternative = int(round(alternative))
+        candidates.append({
+            'bpm': alternative,
+            'confidence': share(alternative),
+            'relation': 'double' if alternative > bpm else 'half'
+        })
+
+    # any other tempo the track keeps coming back to
+    if len(local):
+        values, counts = np.unique(np.round(local).astype(int), return_counts=True)
+        for value in values[np.argsort(counts)[::-1]]:
+            if len(candidates) >= 3:
+                break
+            if MIN_BPM <= value <= MAX_BPM and all(abs(value - c['bpm']) > c['bpm'] * BPM_TOLERANCE for c in candidates):
+                candidates.append({'bpm': int(value), 'confidence': share(value), 'relation': 'other'})
+
+    return candidates
+
+
+def find_hook(sr, energy, beats, duration):
+    window = int(HOOK_SECONDS * sr / HOP_LENGTH)
+    if len(energy) <= window:
+        return {'start': 0.0, 'end': round(duration, 2)}
+
+    totals = np.convolve(energy, np.ones(window), mode='valid')
+    start_frame = int(totals.argmax())
+
+    # pull the cut back onto the nearest beat so previews start on the grid
+    earlier = beats[beats <= start_frame]
+    if len(earlier):
+        start_frame = int(earlier[-1])
+
+    start = float(librosa.frames_to_time(start_frame, sr=sr, hop_length=HOP_LENGTH))
+    return {'start': round(start, 2), 'end': round(min(start + HOOK_SECONDS, duration), 2)}
+
+
 try:
     audio_path = sys.argv[1]
-    
+
     y, sr = librosa.load(audio_path)
-    
-    tempo, _ = librosa.beat.beat_track(y=y, sr=sr)
-    bpm = int(round(tempo))
-    
-    chroma = librosa.feature.chroma_cqt(y=y, sr=sr)
-    key_idx = chroma.mean(axis=1).argmax()
-    keys = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
-    
-    chroma_profile = chroma.mean(axis=1)
-    is_minor = chroma_profile[(key_idx + 3) % 12] > chroma_profile[(key_idx + 4) % 12]
-    mode = 'm' if is_minor else ''
-    
+    duration = librosa.get_duration(y=y, sr=sr)
+
+    onset_env = librosa.onset.onset_strength(y=y, sr=sr, hop_length=HOP_LENGTH)
+    tempo, beats = librosa.beat.beat_track(onset_envelope=onset_env, sr=sr, hop_length=HOP_LENGTH)
+    bpm = int(round(float(np.atleast_1d(tempo)[0])))
+    bpm_candidates = detect_bpm(onset_env, sr, bpm)
+
+    chroma = librosa.feature.chroma_cqt(y=y, sr=sr, hop_length=HOP_LENGTH)
+    key_candidates = detect_key(chroma)
+
     result = {
         'bpm': bpm,
-        'key': keys[key_idx] + mode
+        'bpm_confidence': bpm_candidates[0]['confidence'],
+        'bpm_candidates': bpm_candidates,
+        'key': key_candidates[0]['key'],
+        'key_confidence': key_candidates[0]['confidence'],
+        'key_candidates': key_candidates,
+        'duration': round(duration, 2)
     }
-    
+
+    # structure is a bonus - a failure here shouldn't lose the bpm/key
+    try:
+        energy = energy_curve(y, sr)
+        result['sections'] = find_sections(y, sr, chroma, energy, beats, duration)
+        result['hook'] = find_hook(sr, energy, beats, duration)
+    except Exception as e:
+        print(f'Section detection failed: {e}', file=sys.stderr)
+        result['sections'] = []
+        result['hook'] = None
+
     print(json.dumps(result))
-    
+
 except Exception as e:
     print(json.dumps({'bpm': None, 'key': None, 'error': str(e)}), file=sys.stderr)
-    sys.exit(1)
\ No newline at end of file
+    sys.exit(1)
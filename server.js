@@ -11,19 +11,22 @@ require('dotenv').config();
 // concurrency setup
 const asyncLib = require('async');
 
-const queue = asyncLib.queue(async (task, done) => {
-  try {
-    await task();
-    done();
-  } catch (err) {
-    done(err);
-  }
+const queue = asyncLib.queue(async (jobId) => {
+  await processJob(jobId);
 }, 1);
 
 // Import services
 const VideoGenerator = require('./services/videoGenerator');
 const MetadataGenerator = require('./services/metadataGenerator');
 const YouTubeUploader = require('./services/youtubeUploader');
+const JobStore = require('./services/jobStore');
+const ProfileStore = require('./services/profileStore');
+const BeatCatalog = require('./services/beatCatalog');
+const ArtistCache = require('./services/artistCache');
+const ArtistProviders = require('./services/artistProviders');
+const AudioAnalyzer = require('./services/audioAnalyzer');
+const { findUnknownVariables, TemplateError, TEMPLATE_VARIABLES, TEMPLATE_PRESETS } = require('./services/templates');
+const { titleCase } = require('./services/titleFormulas');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -35,10 +38,22 @@ const cleanupOldFiles = require('./services/cleanupService');
 const schedule = '0 * * * *'; // hourly
 const isProduction = process.env.NODE_ENV === 'production';
 
+// failed uploads keep their render this long for a retry before it's thrown away
+const RETRY_WINDOW_HOURS = 24;
+
 cron.schedule(schedule, async () => {
   console.log(`Running ${isProduction ? 'production' : 'development'} cleanup...`);
-  await cleanupOldFiles(uploadsDir, 60);
-  await cleanupOldFiles(videosDir, 60);
+  const cutoff = new Date(Date.now() - RETRY_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  for (const job of jobStore.getRetryable().filter(job => job.finishedAt < cutoff)) {
+    await abandonJob(job);
+  }
+
+  const keepPaths = jobStore.getActiveFilePaths();
+  await cleanupOldFiles(uploadsDir, 60, keepPaths);
+  await cleanupOldFiles(videosDir, 60, keepPaths);
+  for (const [analysisId, staged] of stagedBeats) {
+    if (!fs.existsSync(staged.path)) stagedBeats.delete(analysisId);
+  }
 });
 
 
@@ -56,6 +71,9 @@ const videosDir = path.join('/tmp', 'videos');
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 if (!fs.existsSync(videosDir)) fs.mkdirSync(videosDir, { recursive: true });
 
+// persistent state (jobs etc.) lives outside /tmp
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 // cfigure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -73,13 +91,13 @@ const upload = multer({
     fileSize: 100 * 1024 * 1024 // 100MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.fieldname === 'beatFile') {
+    if (file.fieldname === 'beatFile' || file.fieldname === 'beatFiles' || file.fieldname === 'voiceTag') {
       if (file.mimetype.startsWith('audio/')) {
         cb(null, true);
       } else {
         cb(new Error('Beat file must be an audio file'));
       }
-    } else if (file.fieldname === 'coverImage') {
+    } else if (['coverImage', 'coverImages', 'thumbnailImage'].includes(file.fieldname)) {
       if (file.mimetype.startsWith('image/')) {
         cb(null, true);
       } else {
@@ -93,14 +111,51 @@ const upload = multer({
 
 // initialize services
 const videoGenerator = new VideoGenerator();
-const metadataGenerator = new MetadataGenerator();
-const youtubeUploader = new YouTubeUploader();
+const artistCache = new ArtistCache(dataDir);
+const artistProviders = new ArtistProviders({ dataDir, artistCache });
+const audioAnalyzer = new AudioAnalyzer({ decodeAudioPcm: (...args) => videoGenerator.decodeAudioPcm(...args) });
+const metadataGenerator = new MetadataGenerator({ artistProviders, audioAnalyzer });
+const youtubeUploader = new YouTubeUploader(dataDir);
+const jobStore = new JobStore(dataDir);
+const profileStore = new ProfileStore(dataDir);
+const beatCatalog = new BeatCatalog(dataDir);
 
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html')); 
 });
 
+// what happens when a beat's audio was already processed: 'warn' queues it anyway and reports the
+// earlier uploads, 'refuse' answers 409 unless the form sends allowDuplicate=true, 'off' skips the check
+const DUPLICATE_POLICIES = ['warn', 'refuse', 'off'];
+const duplicatePolicy = DUPLICATE_POLICIES.includes(process.env.DUPLICATE_BEATS) ? process.env.DUPLICATE_BEATS : 'warn';
+
+// catalogued beats with the same file hash, plus jobs for it that are still in the queue
+function findDuplicateBeats(fileHash) {
+  if (duplicatePolicy === 'off') return [];
+  const queued = jobStore.getUnfinished()
+    .filter(job => job.fileHash === fileHash)
+    .map(job => ({
+      id: job.id,
+      status: job.status,
+      beatTitle: job.input.beatTitle || null,
+      title: null,
+      originalName: job.files.beatFile.originalName,
+      youtubeUrl: null,
+      channelTitle: null,
+      processedAt: null
+    }));
+  const catalogued = beatCatalog.findByHash(fileHash)
+    .map(({ id, status, beatTitle, title, originalName, youtubeUrl, channelTitle, processedAt }) =>
+      ({ id, status, beatTitle, title, originalName, youtubeUrl, channelTitle, processedAt }));
+  return [...queued, ...catalogued];
+}
+
+// analysisId -> { path, originalName, fileHash } for beats uploaded to /api/analyze-beat
+const stagedBeats = new Map();
+
+const duplicateLabel = (beat) => beat.title || beat.beatTitle || beat.originalName;
+
 // main upload endpoint
 
 const deleteFiles = async (filePaths) => {
@@ -117,13 +172,625 @@ const deleteFiles = async (filePaths) => {
 
 app.post('/api/upload-beat', upload.fields([
   { name: 'beatFile', maxCount: 1 },
-  { name: 'coverImage', maxCount: 1 }
-]), (req, res) => {
-  queue.push(async () => {
-    await handleUpload(req, res);
+  { name: 'coverImage', maxCount: 1 },
+  { name: 'thumbnailImage', maxCount: 1 }
+]), async (req, res) => {
+  const coverImage = req.files?.['coverImage']?.[0];
+  const thumbnailImage = req.files?.['thumbnailImage']?.[0];
+  // a beat already on the server is referenced by its analysisId instead of uploaded again
+  const staged = !req.files?.['beatFile'] && req.body.analysisId ? stagedBeats.get(req.body.analysisId) : null;
+  const beatFile = req.files?.['beatFile']?.[0]
+    || (staged && fs.existsSync(staged.path) ? { path: staged.path, originalname: staged.originalName } : null);
+  // a staged beat stays staged until a job owns it
+  const uploadedPaths = [staged ? null : beatFile?.path, coverImage?.path, thumbnailImage?.path];
+
+  if (!beatFile || !coverImage) {
+    await deleteFiles(uploadedPaths);
+    const error = req.body.analysisId && !beatFile
+      ? 'The analyzed beat has expired - choose the file again'
+      : 'Beat file and cover image are required';
+    return res.status(400).json({ success: false, error });
+  }
+
+  let fileHash = staged?.fileHash;
+  try {
+    if (!fileHash) fileHash = await BeatCatalog.hashFile(beatFile.path);
+  } catch (error) {
+    console.error('Failed to hash beat file:', error);
+    await deleteFiles(uploadedPaths);
+    return res.status(500).json({ success: false, error: 'Could not read the beat file' });
+  }
+
+  // checked before queueing so a re-upload doesn't cost a render or YouTube quota
+  const duplicates = findDuplicateBeats(fileHash);
+  if (duplicates.length > 0 && duplicatePolicy === 'refuse' && req.body.allowDuplicate !== 'true') {
+    // uploadedPaths leaves a staged beat in place, so "upload anyway" can still reference it
+    await deleteFiles(uploadedPaths);
+    return res.status(409).json({
+      success: false,
+      error: `This beat was already processed as "${duplicateLabel(duplicates[0])}"`,
+      duplicates
+    });
+  }
+  if (duplicates.length > 0) {
+    console.log(`${beatFile.originalname} matches ${duplicates.length} earlier beat(s): ${duplicates.map(beat => beat.id).join(', ')}`);
+  }
+
+  const { analysisId, ...input } = req.body;
+  if (staged) stagedBeats.delete(analysisId);
+
+  const job = jobStore.create({
+    input,
+    fileHash,
+    files: {
+      beatFile: { path: beatFile.path, originalName: beatFile.originalname },
+      coverImage: { path: coverImage.path, originalName: coverImage.originalname },
+      ...(thumbnailImage && { thumbnailImage: { path: thumbnailImage.path, originalName: thumbnailImage.originalname } })
+    }
+  });
+  queue.push(job.id);
+  console.log(`Queued job ${job.id} (${queue.length()} waiting)`);
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    duplicates
+  });
+});
+
+// bpm/key detection ahead of the upload, so the form can ask about unsure values before queueing.
+// The beat is kept (staged) under the returned analysisId for upload-beat to pick up; the hourly
+// upload cleanup removes staged beats that never got used.
+app.post('/api/analyze-beat', upload.fields([{ name: 'beatFile', maxCount: 1 }]), async (req, res) => {
+  const beatFile = req.files?.['beatFile']?.[0];
+  if (!beatFile) {
+    return res.status(400).json({ success: false, error: 'Beat file is required' });
+  }
+
+  try {
+    const fileHash = await BeatCatalog.hashFile(beatFile.path);
+    const analyzed = await analyzeBeat(beatFile.path, fileHash);
+    const analysisId = uuidv4();
+    stagedBeats.set(analysisId, { path: beatFile.path, originalName: beatFile.originalname, fileHash });
+    res.json({ success: true, analysisId, fileHash, analysis: detectionSummary(analyzed) });
+  } catch (error) {
+    console.error('Beat analysis failed:', error);
+    await deleteFiles([beatFile.path]);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const MAX_BATCH_SIZE = 20;
+
+// each job deletes its inputs when it finishes, so beats sharing a cover get their own copy
+const copyUpload = (file) => {
+  const copyPath = path.join(uploadsDir, `${path.basename(file.path, path.extname(file.path))}-${uuidv4()}${path.extname(file.path)}`);
+  fs.copyFileSync(file.path, copyPath);
+  return { path: copyPath, originalName: file.originalname };
+};
+
+// staggered publish time for the nth beat, e.g. one per day from the first slot
+const getStaggeredPublishTime = (scheduleStart, intervalHours, index) => {
+  const start = new Date(scheduleStart);
+  if (isNaN(start.getTime())) return null;
+  return new Date(start.getTime() + index * intervalHours * 60 * 60 * 1000).toISOString();
+};
+
+// batch upload: many beats in one submission, each one queued as its own job
+app.post('/api/upload-batch', upload.fields([
+  { name: 'beatFiles', maxCount: MAX_BATCH_SIZE },
+  { name: 'coverImages', maxCount: MAX_BATCH_SIZE }
+]), async (req, res) => {
+  const beatFiles = req.files?.['beatFiles'] || [];
+  const coverImages = req.files?.['coverImages'] || [];
+  const uploadedPaths = [...beatFiles, ...coverImages].map(file => file.path);
+
+  try {
+    if (beatFiles.length === 0 || coverImages.length === 0) {
+      throw new Error('At least one beat file and one cover image are required');
+    }
+
+    const { beats: beatsJson, scheduleStart, scheduleIntervalHours, ...shared } = req.body;
+    let beats = [];
+    try {
+      beats = beatsJson ? JSON.parse(beatsJson) : [];
+    } catch (err) {
+      throw new Error('beats must be a JSON array');
+    }
+    if (!Array.isArray(beats)) throw new Error('beats must be a JSON array');
+
+    const intervalHours = parseFloat(scheduleIntervalHours) || 24;
+    const batchId = uuidv4();
+
+    // resolve every beat's cover up front so a bad index rejects the whole batch
+    const coverFor = beatFiles.map((beatFile, index) => {
+      const coverIndex = beats[index]?.coverIndex ?? (coverImages.length === beatFiles.length ? index : 0);
+      const cover = coverImages[coverIndex];
+      if (!cover) throw new Error(`No cover image at index ${coverIndex} for ${beatFile.originalname}`);
+      return cover;
+    });
+
+    const fileHashes = [];
+    for (const beatFile of beatFiles) {
+      fileHashes.push(await BeatCatalog.hashFile(beatFile.path));
+    }
+    // earlier copies within this same batch count too, they'd otherwise both get queued
+    const duplicatesFor = fileHashes.map((fileHash, index) => {
+      if (duplicatePolicy === 'off') return [];
+      const earlierInBatch = fileHashes
+        .map((otherHash, otherIndex) => ({ otherHash, otherIndex }))
+        .filter(({ otherHash, otherIndex }) => otherIndex < index && otherHash === fileHash)
+        .map(({ otherIndex }) => ({
+          id: `batch-${otherIndex}`,
+          status: 'same batch',
+          beatTitle: beats[otherIndex]?.beatTitle || path.parse(beatFiles[otherIndex].originalname).name,
+          title: null,
+          originalName: beatFiles[otherIndex].originalname,
+          youtubeUrl: null,
+          channelTitle: null,
+          processedAt: null
+        }));
+      return [...earlierInBatch, ...findDuplicateBeats(fileHash)];
+    });
+    const duplicateBeats = beatFiles
+      .map((beatFile, index) => ({ fileName: beatFile.originalname, duplicates: duplicatesFor[index] }))
+      .filter(beat => beat.duplicates.length > 0);
+    if (duplicateBeats.length > 0 && duplicatePolicy === 'refuse' && shared.allowDuplicate !== 'true') {
+      await deleteFiles(uploadedPaths);
+      return res.status(409).json({
+        success: false,
+        error: `Already processed or queued: ${duplicateBeats.map(beat => `${beat.fileName} (same audio as "${duplicateLabel(beat.duplicates[0])}")`).join(', ')}`,
+        duplicateBeats
+      });
+    }
+
+    const jobs = beatFiles.map((beatFile, index) => {
+      const beat = beats[index] || {};
+      const scheduledPublishTime = beat.scheduledPublishTime
+        || (scheduleStart ? getStaggeredPublishTime(scheduleStart, intervalHours, index) : null);
+
+      return jobStore.create({
+        batchId,
+        batchIndex: index,
+        fileHash: fileHashes[index],
+        input: {
+          ...shared,
+          beatTitle: beat.beatTitle || path.parse(beatFile.originalname).name,
+          tags: beat.tags ?? shared.tags,
+          manualBpm: beat.manualBpm != null ? String(beat.manualBpm) : shared.manualBpm,
+          manualKey: beat.manualKey ?? shared.manualKey,
+          ...(scheduledPublishTime && { scheduledPublishTime })
+        },
+        files: {
+          beatFile: { path: beatFile.path, originalName: beatFile.originalname },
+          coverImage: copyUpload(coverFor[index])
+        }
+      });
+    });
+
+    // the per-job copies replaced the originals
+    await deleteFiles(coverImages.map(file => file.path));
+
+    jobs.forEach(job => queue.push(job.id));
+    console.log(`Queued batch ${batchId} with ${jobs.length} beats`);
+
+    res.status(202).json({
+      success: true,
+      batchId,
+      statusUrl: `/api/batches/${batchId}`,
+      jobs: jobs.map((job, index) => ({ jobId: job.id, beatTitle: job.input.beatTitle, status: job.status, duplicates: duplicatesFor[index] }))
+    });
+  } catch (error) {
+    console.error('Batch upload failed:', error);
+    await deleteFiles(uploadedPaths);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  const jobs = jobStore.listByBatch(req.params.id);
+  if (jobs.length === 0) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  const counts = {};
+  jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+
+  res.json({
+    success: true,
+    batchId: req.params.id,
+    finished: jobs.every(job => job.status === 'done' || job.status === 'failed'),
+    counts,
+    beats: jobs.map(job => ({
+      jobId: job.id,
+      beatTitle: job.input.beatTitle,
+      fileName: job.files.beatFile.originalName,
+      status: job.status,
+      scheduledPublishTime: job.input.scheduledPublishTime || null,
+      youtubeUrl: job.result?.youtubeUrl || null,
+      downloadUrl: job.result?.downloadUrl || null,
+      error: job.error,
+      retryable: job.retryable
+    }))
+  });
+});
+
+// beat catalog - everything that went through the pipeline, filterable
+app.get('/api/beats', (req, res) => {
+  const { q, status, channelId, artist, key, bpmMin, bpmMax, hash, from, to } = req.query;
+
+  if (status && !BeatCatalog.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+  }
+  const badDate = [from, to].find(date => date && isNaN(new Date(date).getTime()));
+  if (badDate) {
+    return res.status(400).json({ success: false, error: `Invalid date: ${badDate}` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { beats, total } = beatCatalog.search({ q, status, channelId, artist, key, bpmMin, bpmMax, hash, from, to, limit, offset });
+  res.json({ success: true, beats, total, limit, offset, facets: beatCatalog.facets() });
+});
+
+app.get('/api/beats/:id', (req, res) => {
+  const beat = beatCatalog.get(req.params.id);
+  if (!beat) {
+    return res.status(404).json({ success: false, error: 'Beat not found' });
+  }
+  res.json({ success: true, beat });
+});
+
+app.delete('/api/beats/:id', (req, res) => {
+  if (!beatCatalog.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Beat not found' });
+  }
+  res.json({ success: true });
+});
+
+// job status routes
+app.get('/api/jobs', (req, res) => {
+  const { status } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  if (status && !JobStore.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+  }
+
+  const jobs = jobStore.list({ status, limit }).map(job => jobStore.toPublic(job));
+  res.json({ success: true, jobs });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: jobStore.toPublic(job) });
+});
+
+// requeue a failed upload; it reuses the kept render and any open upload session
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.status !== 'failed' || !job.retryable) {
+    return res.status(409).json({ success: false, error: 'Only failed uploads can be retried' });
+  }
+
+  jobStore.update(job.id, { status: 'queued', error: null, retryable: false, finishedAt: null, progress: null });
+  queue.push(job.id);
+  console.log(`Retrying job ${job.id}`);
+  res.status(202).json({ success: true, job: jobStore.toPublic(job) });
+});
+
+// give up on a failed upload and delete what it kept
+app.post('/api/jobs/:id/abandon', async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.status !== 'failed' || !job.retryable) {
+    return res.status(409).json({ success: false, error: 'Only failed uploads can be abandoned' });
+  }
+
+  await abandonJob(job);
+  res.json({ success: true, job: jobStore.toPublic(jobStore.get(job.id)) });
+});
+
+// live stage changes + render/upload percentages over server-sent events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('status', jobStore.toPublic(job));
+  if (job.status === 'done' || job.status === 'failed') return res.end();
+  if (job.progress) send('progress', job.progress);
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    send('status', jobStore.toPublic(updated));
+    if (updated.status === 'done' || updated.status === 'failed') res.end();
+  };
+  const onProgress = (jobId, progress) => {
+    if (jobId === job.id) send('progress', progress);
+  };
+
+  // keep idle proxies from dropping the connection during long renders
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  jobStore.on('update', onUpdate);
+  jobStore.on('progress', onProgress);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobStore.off('update', onUpdate);
+    jobStore.off('progress', onProgress);
   });
 });
 
+// producer profiles
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, profiles: profileStore.list().map(profile => profileStore.toPublic(profile)) });
+});
+
+app.post('/api/profiles', (req, res) => {
+  try {
+    const profile = profileStore.create(req.body);
+    res.status(201).json({ success: true, profile: profileStore.toPublic(profile) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// name, contact details, licensing text and upload defaults; settings below have their own routes
+app.put('/api/profiles/:id', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  try {
+    const profile = profileStore.updateDetails(req.params.id, req.body);
+    res.json({ success: true, profile: profileStore.toPublic(profile) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/profiles/:id', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  try {
+    profileStore.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+  const profile = profileStore.get(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  res.json({ success: true, profile: profileStore.toPublic(profile) });
+});
+
+// upload a new tag and/or change its start/interval/gain/duck
+app.post('/api/profiles/:id/voice-tag', upload.single('voiceTag'), async (req, res) => {
+  try {
+    if (!profileStore.get(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    const profile = profileStore.setVoiceTag(req.params.id, { file: req.file, settings: req.body });
+    res.json({ success: true, profile: profileStore.toPublic(profile) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  } finally {
+    if (req.file) await deleteFiles([req.file.path]);
+  }
+});
+
+app.get('/api/profiles/:id/voice-tag/audio', (req, res) => {
+  const voiceTag = profileStore.get(req.params.id)?.voiceTag;
+  if (!voiceTag || !fs.existsSync(voiceTag.path)) {
+    return res.status(404).json({ success: false, error: 'No voice tag uploaded' });
+  }
+  res.sendFile(voiceTag.path);
+});
+
+app.delete('/api/profiles/:id/voice-tag', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  const profile = profileStore.removeVoiceTag(req.params.id);
+  res.json({ success: true, profile: profileStore.toPublic(profile) });
+});
+
+app.put('/api/profiles/:id/playlist-rules', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  try {
+    profileStore.setPlaylistRules(req.params.id, req.body);
+    res.json({ success: true, playlistRules: profileStore.getPlaylistRules(req.params.id) });
+  } catch (error) {
+    if (error instanceof ProfileStore.PlaylistRuleError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Failed to save playlist rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/profiles/:id/templates', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  try {
+    profileStore.setTemplates(req.params.id, req.body);
+    res.json({ success: true, templates: profileStore.getTemplates(req.params.id) });
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Failed to save templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// artists never to tag; PUT replaces the list, POST adds to it
+app.put('/api/profiles/:id/artist-blocklist', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  profileStore.setArtistBlocklist(req.params.id, parseList(req.body.artists));
+  res.json({ success: true, artistBlocklist: profileStore.getArtistBlocklist(req.params.id) });
+});
+
+app.post('/api/profiles/:id/artist-blocklist', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  const artists = parseList(req.body.artists ?? req.body.artist);
+  if (artists.length === 0) {
+    return res.status(400).json({ success: false, error: 'No artists given' });
+  }
+  profileStore.blockArtists(req.params.id, artists);
+  res.json({ success: true, artistBlocklist: profileStore.getArtistBlocklist(req.params.id) });
+});
+
+app.delete('/api/profiles/:id/artist-blocklist/:artist', (req, res) => {
+  if (!profileStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  profileStore.unblockArtist(req.params.id, req.params.artist);
+  res.json({ success: true, artistBlocklist: profileStore.getArtistBlocklist(req.params.id) });
+});
+
+// found artists (with the providers that suggested them) and tags for review before the job is queued;
+// nothing is rendered. The approved artists/rejected tags go back in the upload as approvedArtists/rejectedTags.
+app.post('/api/metadata/preview', async (req, res) => {
+  const { tags, genre, profileId } = profileStore.withDefaults(req.body.profileId, req.body);
+  if (!String(tags || '').trim()) {
+    return res.status(400).json({ success: false, error: 'Type beat artists are required' });
+  }
+  try {
+    const preview = await metadataGenerator.previewMetadata({
+      tags,
+      genre,
+      excludeArtists: profileStore.getArtistBlocklist(profileId || ProfileStore.DEFAULT_ID)
+    });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Metadata preview failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// title/description templates
+app.get('/api/templates', (req, res) => {
+  res.json({ success: true, variables: TEMPLATE_VARIABLES, presets: TEMPLATE_PRESETS });
+});
+
+// renders unsaved templates against the form's current values (no similar-artist lookups, so it's quick)
+app.post('/api/templates/preview', async (req, res) => {
+  const { title, description, values = {}, profileId } = req.body;
+  try {
+    const metadata = await metadataGenerator.generateMetadata({
+      ...profileStore.withDefaults(profileId, values),
+      manualBpm: values.bpm,
+      manualKey: values.key,
+      templates: { title, description },
+      expandArtists: false
+    });
+    res.json({
+      success: true,
+      title: metadata.title,
+      description: metadata.description,
+      titleLength: metadata.title.length,
+      descriptionLength: metadata.description.length,
+      unknownVariables: findUnknownVariables(`${title || ''}\n${description || ''}`)
+    });
+  } catch (error) {
+    const status = error instanceof TemplateError ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// type-beat title ideas for the form to pick from
+app.post('/api/titles', (req, res) => {
+  const { beatTitle, tags, bpm, mood, free, includeYear } = req.body;
+  if (!beatTitle?.trim()) {
+    return res.status(400).json({ success: false, error: 'Beat title is required' });
+  }
+  res.json({ success: true, variants: metadataGenerator.generateTitleVariants({ beatTitle, tags, bpm, mood, free, includeYear }) });
+});
+
+// similar-artist providers: which are enabled (ARTIST_PROVIDERS), in what order, and usable
+app.get('/api/artist-providers', (req, res) => {
+  res.json({ success: true, providers: artistProviders.describe() });
+});
+
+// merged ranking for one artist, with the providers that agreed on each result
+app.get('/api/similar-artists', async (req, res) => {
+  const artist = String(req.query.artist || '').trim();
+  if (!artist) {
+    return res.status(400).json({ success: false, error: 'artist is required' });
+  }
+  const limit = parseInt(req.query.limit, 10) || 10;
+  try {
+    const artists = await artistProviders.findSimilar(artist, { limit });
+    res.json({ success: true, artist, providers: artistProviders.enabled().map(provider => provider.name), artists });
+  } catch (error) {
+    console.error('Similar artist lookup failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// similar-artist lookup cache
+app.get('/api/artist-cache', (req, res) => {
+  const entries = artistCache.list();
+  res.json({
+    success: true,
+    offline: artistCache.offline,
+    ttlHours: artistCache.ttlMs / (60 * 60 * 1000),
+    count: entries.length,
+    expired: entries.filter(entry => entry.expired).length,
+    entries
+  });
+});
+
+// ?provider=deezer&artist=drake&expired=true narrow what gets cleared; no filters clears it all
+app.delete('/api/artist-cache', (req, res) => {
+  const { provider, artist, expired } = req.query;
+  const removed = artistCache.clear({ provider, artist, expiredOnly: expired === 'true' });
+  res.json({ success: true, removed });
+});
+
+// offline: only cached lookups are used, nothing goes out to the providers
+app.put('/api/artist-cache/settings', (req, res) => {
+  if (typeof req.body.offline !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'offline must be true or false' });
+  }
+  artistCache.setOffline(req.body.offline);
+  res.json({ success: true, offline: artistCache.offline });
+});
+
 // YouTube OAuth routes
 app.get('/api/auth/youtube', (req, res) => {
   const authUrl = youtubeUploader.getAuthUrl();
@@ -133,8 +800,8 @@ app.get('/api/auth/youtube', (req, res) => {
 app.post('/api/auth/youtube/callback', async (req, res) => {
   try {
     const { code } = req.body;
-    const tokens = await youtubeUploader.getTokensFromCode(code);
-    res.json({ success: true, message: 'Authentication successful' });
+    const channel = await youtubeUploader.getTokensFromCode(code);
+    res.json({ success: true, message: 'Authentication successful', channel });
   } catch (error) {
     console.error('YouTube auth failed:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -152,10 +819,10 @@ app.get('/oauth2callback', async (req, res) => {
     
     if (code) {
       // exchange code for tokens
-      const tokens = await youtubeUploader.getTokensFromCode(code);
+      const channel = await youtubeUploader.getTokensFromCode(code);
       
       // redirect back to frontend with success
-      res.redirect('/?auth_success=true');
+      res.redirect(`/?auth_success=true&channel=${encodeURIComponent(channel.id)}`);
     } else {
       res.redirect('/?auth_error=no_code_received');
     }
@@ -165,6 +832,40 @@ app.get('/oauth2callback', async (req, res) => {
   }
 });
 
+// connected youtube channels, with a live token check
+app.get('/api/channels', async (req, res) => {
+  try {
+    const channels = await youtubeUploader.listChannels();
+    res.json({ success: true, channels });
+  } catch (error) {
+    console.error('Failed to list channels:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/channels/:id/playlists', async (req, res) => {
+  try {
+    const playlists = await youtubeUploader.listPlaylists(req.params.id);
+    res.json({ success: true, playlists });
+  } catch (error) {
+    console.error('Failed to list playlists:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/channels/:id', async (req, res) => {
+  try {
+    const removed = await youtubeUploader.disconnectChannel(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to disconnect channel:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // testing
 
 app.get('/api/test-config', (req, res) => {
@@ -181,17 +882,16 @@ app.get('/api/test-config', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  catalogPastJobs();
+  resumeUnfinishedJobs();
 });
 
-app.get('/api/download-video/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const videoPath = path.join(videosDir, `video-${sessionId}.mp4`);
-  
-  if (!fs.existsSync(videoPath)) {
+const sendRenderedFile = (res, filePath, downloadName) => {
+  if (!fs.existsSync(filePath)) {
     return res.status(404).json({ success: false, error: 'Video not found' });
   }
   
-  res.download(videoPath, `beat-video-${sessionId}.mp4`, (err) => {
+  res.download(filePath, downloadName, (err) => {
     if (err) {
       console.error('Download error:', err);
       if (!res.headersSent) {
@@ -199,16 +899,154 @@ app.get('/api/download-video/:sessionId', (req, res) => {
       }
     }
   });
+};
+
+app.get('/api/download-video/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  sendRenderedFile(res, path.join(videosDir, `video-${sessionId}.mp4`), `beat-video-${sessionId}.mp4`);
+});
+
+app.get('/api/download-short/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  sendRenderedFile(res, path.join(videosDir, `short-${sessionId}.mp4`), `beat-short-${sessionId}.mp4`);
+});
+
+app.get('/api/download-thumbnail/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  sendRenderedFile(res, path.join(videosDir, `thumbnail-${sessionId}.jpg`), `beat-thumbnail-${sessionId}.jpg`);
+});
+
+// renders a thumbnail from the submitted cover and text options without queueing a job
+app.post('/api/thumbnail-preview', upload.fields([
+  { name: 'coverImage', maxCount: 1 },
+  { name: 'thumbnailImage', maxCount: 1 }
+]), async (req, res) => {
+  const coverImage = req.files?.['coverImage']?.[0];
+  const thumbnailImage = req.files?.['thumbnailImage']?.[0];
+  const previewId = `preview-${uuidv4()}`;
+  let thumbnailPath = null;
+
+  try {
+    if (!coverImage && !thumbnailImage) {
+      return res.status(400).json({ success: false, error: 'A cover image or thumbnail image is required' });
+    }
+
+    thumbnailPath = await renderThumbnail({
+      input: req.body,
+      coverPath: coverImage?.path,
+      customPath: thumbnailImage?.path,
+      sessionId: previewId
+    });
+    res.type('jpeg').send(await fs.promises.readFile(thumbnailPath));
+  } catch (error) {
+    console.error('Thumbnail preview failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    await deleteFiles([coverImage?.path, thumbnailImage?.path, thumbnailPath]);
+  }
+});
+
+// dry run of /api/upload-beat: a low-res clip of the render plus the metadata the upload would get,
+// straight back in the response - no job, no YouTube. The audio gets the same voice tag and loudness
+// pass as a job; bpm/key only come from the form here, since the audio analysis is most of what makes
+// a real render slow. Files are picked up by the hourly cleanup.
+app.post('/api/preview', upload.fields([
+  { name: 'beatFile', maxCount: 1 },
+  { name: 'coverImage', maxCount: 1 },
+  { name: 'thumbnailImage', maxCount: 1 }
+]), async (req, res) => {
+  const beatFile = req.files?.['beatFile']?.[0];
+  const coverImage = req.files?.['coverImage']?.[0];
+  const thumbnailImage = req.files?.['thumbnailImage']?.[0];
+  const previewId = `preview-${uuidv4()}`;
+  const tempFiles = [];
+
+  try {
+    if (!beatFile || !coverImage) {
+      return res.status(400).json({ success: false, error: 'Beat file and cover image are required' });
+    }
+
+    const input = profileStore.withDefaults(req.body.profileId, req.body);
+    const bpm = input.manualBpm?.trim() ? parseInt(input.manualBpm.trim(), 10) : null;
+    const key = input.manualKey?.trim() || null;
+
+    // cut first, so the voice tag and loudness passes only run over the preview's few seconds
+    const clip = await videoGenerator.cutAudioClip({
+      audioPath: beatFile.path,
+      outputDir: videosDir,
+      sessionId: previewId,
+      start: input.previewStart
+    });
+    tempFiles.push(clip.clipPath);
+
+    const { audioPath, audioOptions, voiceTagged, loudness } = await prepareRenderAudio({
+      input,
+      audioPath: clip.clipPath,
+      sessionId: previewId,
+      tempFiles,
+      offset: clip.start
+    });
+
+    await videoGenerator.generatePreview({
+      audioPath,
+      imagePath: coverImage.path,
+      outputDir: videosDir,
+      sessionId: previewId,
+      length: clip.length,
+      backgroundStyle: input.backgroundStyle,
+      visualizerOptions: {
+        ...(input.visualizerColor && { color: input.visualizerColor }),
+        ...(input.visualizerPosition && { position: input.visualizerPosition }),
+        ...(input.visualizerFps && { fps: input.visualizerFps })
+      },
+      textOverlay: input.textOverlay === 'true' ? buildTextOverlay({ ...input, bpm, key }) : null,
+      audioOptions
+    });
+
+    let thumbnailPath = null;
+    try {
+      thumbnailPath = await renderThumbnail({ input, coverPath: coverImage.path, customPath: thumbnailImage?.path, sessionId: previewId });
+    } catch (thumbnailError) {
+      console.error('Thumbnail preview failed:', thumbnailError.message);
+    }
+
+    const metadata = await generateJobMetadata(input, { bpm, key });
+
+    res.json({
+      success: true,
+      previewId,
+      videoUrl: `/api/download-video/${previewId}`,
+      thumbnailUrl: thumbnailPath ? `/api/download-thumbnail/${previewId}` : null,
+      start: clip.start,
+      length: clip.length,
+      voiceTagged,
+      loudness,
+      bpm,
+      key,
+      metadata: { title: metadata.title, description: metadata.description, tags: metadata.tags, tagReport: metadata.tagReport }
+    });
+  } catch (error) {
+    console.error('Preview failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    await deleteFiles([beatFile?.path, coverImage?.path, thumbnailImage?.path, ...tempFiles]);
+  }
 });
 
 app.post('/api/cleanup-video/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
-  const videoPath = path.join(videosDir, `video-${sessionId}.mp4`);
+  const renderPaths = [
+    path.join(videosDir, `video-${sessionId}.mp4`),
+    path.join(videosDir, `short-${sessionId}.mp4`),
+    path.join(videosDir, `thumbnail-${sessionId}.jpg`)
+  ];
   
   try {
-    if (fs.existsSync(videoPath)) {
-      await fs.promises.unlink(videoPath);
-      console.log(`Cleaned up video: ${videoPath}`);
+    for (const videoPath of renderPaths) {
+      if (fs.existsSync(videoPath)) {
+        await fs.promises.unlink(videoPath);
+        console.log(`Cleaned up video: ${videoPath}`);
+      }
     }
     res.json({ success: true });
   } catch (error) {
@@ -217,51 +1055,490 @@ app.post('/api/cleanup-video/:sessionId', async (req, res) => {
   }
 });
 
-async function handleUpload(req, res) {
-  let cleanupFiles = [];
+// title / "prod. by" / bpm-key lines for VideoGenerator's drawtext overlay
+function buildTextOverlay({ beatTitle, producerName, bpm, key, textPosition, textFont, textColor, textSize, textFadeIn }) {
+  const size = parseInt(textSize, 10) || 56;
+  const lines = [];
+
+  if (beatTitle) lines.push({ text: beatTitle, size: Math.round(size * 1.4) });
+  if (producerName?.trim()) lines.push({ text: `prod. by ${producerName.trim()}`, size });
+  const bpmKey = [bpm && !isNaN(bpm) ? `${bpm} BPM` : null, key].filter(Boolean).join(' - ');
+  if (bpmKey) lines.push({ text: bpmKey, size: Math.round(size * 0.8) });
+
+  return {
+    lines,
+    ...(textPosition && { position: textPosition }),
+    ...(textFont && { font: textFont }),
+    ...(textColor && { color: textColor }),
+    ...(textFadeIn !== undefined && textFadeIn !== '' && { fadeIn: parseFloat(textFadeIn) })
+  };
+}
+
+// form fields arrive as strings - accept a JSON array or a comma separated list
+const parseList = (value) => {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String).filter(Boolean);
+  } catch (e) {}
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// enabled profile rules -> playlist titles, e.g. "drake, future" + '{artist} Type Beats' -> 'Drake Type Beats'
+function playlistTitlesFor({ rules, tags, genre }) {
+  const values = {
+    artist: String(tags || '').split(',').map(tag => tag.trim()).find(Boolean),
+    genre: String(genre || '').trim()
+  };
+
+  return Object.entries(rules)
+    .filter(([type, rule]) => rule.enabled && values[type])
+    .map(([type, rule]) => rule.template.replace(`{${type}}`, titleCase(values[type].toLowerCase())));
+}
+
+// thumbnailMode: 'generated' (cover in the video's layout + optional title/producer text),
+// 'custom' (the uploaded thumbnailImage fitted to 1280x720) or 'none' to leave YouTube's pick
+function renderThumbnail({ input, coverPath, customPath = null, sessionId }) {
+  const { thumbnailMode, thumbnailText, beatTitle, producerName, backgroundStyle, textFont, textColor } = input;
+  if (thumbnailMode === 'none') return null;
+
+  if (thumbnailMode === 'custom' && customPath) {
+    return videoGenerator.generateThumbnail({ customImagePath: customPath, outputDir: videosDir, sessionId });
+  }
+
+  const lines = [];
+  if (thumbnailText !== 'false') {
+    if (beatTitle?.trim()) lines.push({ text: beatTitle.trim(), size: 96 });
+    if (producerName?.trim()) lines.push({ text: `prod. by ${producerName.trim()}`, size: 52 });
+  }
+
+  return videoGenerator.generateThumbnail({
+    imagePath: coverPath,
+    outputDir: videosDir,
+    sessionId,
+    backgroundStyle,
+    textOverlay: lines.length > 0 && {
+      lines,
+      position: 'center',
+      ...(textFont && { font: textFont }),
+      ...(textColor && { color: textColor })
+    }
+  });
+}
+
+// title/description/tags for an upload's fields (already filled from the profile), with the bpm/key resolved for it
+function generateJobMetadata(input, { bpm, key }) {
+  const profileId = input.profileId || ProfileStore.DEFAULT_ID;
+  return metadataGenerator.generateMetadata({
+    beatTitle: input.beatTitle,
+    videoTitle: input.videoTitle,
+    tags: input.tags,
+    genre: input.genre,
+    email: input.email,
+    instagramLink: input.instagramLink,
+    tiktokLink: input.tiktokLink,
+    twitterLink: input.twitterLink,
+    beatstarsLink: input.beatstarsLink,
+    licensingText: input.licensingText,
+    producerName: input.producerName,
+    manualBpm: bpm,
+    manualKey: key,
+    templates: profileStore.getTemplates(profileId),
+    artistList: parseList(input.approvedArtists),
+    excludeArtists: profileStore.getArtistBlocklist(profileId),
+    rejectedTags: parseList(input.rejectedTags)
+  });
+}
+
+// analysis is the slowest step before rendering; the form's pre-upload check and the job itself
+// share one run per file hash
+const analysisCache = new Map();
+const MAX_CACHED_ANALYSES = 20;
+
+async function analyzeBeat(filePath, fileHash = null) {
+  if (fileHash && analysisCache.has(fileHash)) {
+    console.log(`Using cached analysis for ${fileHash.slice(0, 12)}`);
+    return analysisCache.get(fileHash);
+  }
+  const analyzed = await metadataGenerator.analyzeAudioFile(filePath);
+  if (fileHash) {
+    analysisCache.set(fileHash, analyzed);
+    if (analysisCache.size > MAX_CACHED_ANALYSES) analysisCache.delete(analysisCache.keys().next().value);
+  }
+  return analyzed;
+}
+
+// what the client gets to see of an analysis
+const detectionSummary = (analyzed) => ({
+  sections: analyzed.sections,
+  hook: analyzed.hook,
+  bpm: analyzed.bpm,
+  key: analyzed.key,
+  bpmConfidence: analyzed.bpmConfidence,
+  keyConfidence: analyzed.keyConfidence,
+  bpmCandidates: analyzed.bpmCandidates,
+  keyCandidates: analyzed.keyCandidates,
+  uncertain: analyzed.uncertain
+});
+
+async function abandonJob(job) {
+  console.log(`Abandoning upload for job ${job.id}`);
+  await deleteFiles([
+    ...Object.values(job.files || {}).map(file => file.path),
+    job.render?.videoPath,
+    job.render?.short?.shortPath,
+    job.render?.thumbnailPath
+  ]);
+  jobStore.update(job.id, { retryable: false, render: null, upload: null });
+}
+
+// jobs that finished before the catalog existed
+function catalogPastJobs() {
+  const missing = jobStore.list({ limit: Infinity })
+    .filter(job => ['done', 'failed'].includes(job.status) && !beatCatalog.get(job.id));
+  missing.forEach(catalogJob);
+  if (missing.length > 0) {
+    console.log(`Catalogued ${missing.length} past jobs`);
+  }
+}
+
+// requeue jobs left behind by a restart; ones caught mid-run start over
+function resumeUnfinishedJobs() {
+  for (const job of jobStore.getUnfinished()) {
+    const missingFile = Object.values(job.files).some(file => !fs.existsSync(file.path));
+    if (missingFile) {
+      jobStore.update(job.id, { status: 'failed', error: 'Input files were lost before the job could resume' });
+      catalogJob(job);
+      continue;
+    }
+
+    if (job.status !== 'queued') {
+      console.log(`Job ${job.id} was interrupted while ${job.status}, restarting`);
+      jobStore.update(job.id, { status: 'queued' });
+    }
+    queue.push(job.id);
+  }
+
+  if (queue.length() > 0) {
+    console.log(`Resumed ${queue.length()} unfinished jobs`);
+  }
+}
+
+async function processJob(jobId) {
+  const job = jobStore.get(jobId);
+  if (!job) return;
+
+  try {
+    const result = await handleUpload(job);
+    jobStore.update(jobId, { status: 'done', result });
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, error);
+    jobStore.update(jobId, { status: 'failed', error: error.message, retryable: Boolean(jobStore.get(jobId).render) });
+  }
+  catalogJob(jobStore.get(jobId));
+}
+
+// the catalog shouldn't be able to fail a job that already went through
+function catalogJob(job) {
   try {
+    beatCatalog.recordJob(job, profileStore.withDefaults(job.input.profileId, job.input));
+  } catch (error) {
+    console.error(`Failed to catalog job ${job.id}:`, error.message);
+  }
+}
+
+async function handleUpload(job) {
+  // blank form fields (channel, genre...) fall back to the producer profile
+  const input = profileStore.withDefaults(job.input.profileId, job.input);
+  const { uploadShort, shortTitle, channelId, scheduledPublishTime, downloadOnly, profileId, playlistIds, applyPlaylistRules } = input;
+  const sessionId = job.id;
+  const inputFiles = Object.values(job.files).map(file => file.path);
+  console.log(`Starting ${downloadOnly === 'true' ? 'download' : 'upload'} process for session: ${sessionId}`);
+
+  try {
+    // jobs queued before hashing happened at upload time
+    if (!job.fileHash && fs.existsSync(job.files.beatFile.path)) {
+      jobStore.update(job.id, { fileHash: await BeatCatalog.hashFile(job.files.beatFile.path) });
+    }
+
+    // a retried upload reuses the render it kept instead of rendering again
+    let render = job.render && fs.existsSync(job.render.videoPath) ? job.render : null;
+    if (render) {
+      console.log(`Reusing rendered video for session: ${sessionId}`);
+    } else {
+      render = await renderJob(job);
+    }
+    const { videoPath, short, thumbnailPath, metadata, voiceTagged, loudness, analysis, bpm, key } = render;
+
+    // If download only, skip YouTube upload
+    if (downloadOnly === 'true') {
+      // Clean up input files but keep the video
+      await deleteFiles(inputFiles);
+      
+      return {
+        sessionId,
+        downloadOnly: true,
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        tagReport: metadata.tagReport,
+        bpm,
+        key,
+        downloadUrl: `/api/download-video/${sessionId}`,
+        thumbnailUrl: thumbnailPath ? `/api/download-thumbnail/${sessionId}` : null,
+        voiceTagged,
+        loudness,
+        analysis,
+        short: short && {
+          start: short.start,
+          length: short.length,
+          downloadUrl: `/api/download-short/${sessionId}`
+        }
+      };
+    }
+
+    // the render stays with the job until YouTube has it, so a failed upload can be retried
+    jobStore.update(job.id, { render });
+
+    // Upload to YouTube
+    jobStore.setStatus(job.id, 'uploading');
+    const pushShort = short && uploadShort === 'true';
+    const uploadShare = pushShort ? 0.8 : 1;
+
+    // session URIs and finished video ids are saved as they arrive so a retry carries on from there
+    const saveUpload = (target, changes) => {
+      const upload = jobStore.get(job.id).upload || {};
+      jobStore.update(job.id, { upload: { ...upload, [target]: { ...upload[target], ...changes } } });
+    };
+
+    let videoUpload = jobStore.get(job.id).upload?.video;
+    if (!videoUpload?.videoId) {
+      const uploaded = await youtubeUploader.uploadVideo({
+        channelId: channelId || null,
+        videoPath,
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        categoryId: '10',
+        scheduledPublishTime: scheduledPublishTime || null,
+        sessionUri: videoUpload?.sessionUri || null,
+        onSession: (sessionUri) => saveUpload('video', { sessionUri }),
+        onProgress: (progress) => jobStore.reportProgress(job.id, { ...progress, percent: progress.percent * uploadShare })
+      });
+      videoUpload = { videoId: uploaded.videoId, channelId: uploaded.channelId, channelTitle: uploaded.channelTitle };
+      saveUpload('video', videoUpload);
+    }
+
+    // the video is already live by now, so a refused thumbnail is reported rather than failing the job
+    if (thumbnailPath && !videoUpload.thumbnailSet) {
+      try {
+        await youtubeUploader.setThumbnail({ channelId: videoUpload.channelId, videoId: videoUpload.videoId, thumbnailPath });
+        videoUpload = { ...videoUpload, thumbnailSet: true, thumbnailError: null };
+      } catch (thumbnailError) {
+        videoUpload = { ...videoUpload, thumbnailError: thumbnailError.message };
+      }
+      saveUpload('video', videoUpload);
+    }
+
+    // playlists picked on the form plus any the profile's rules produce, missing ones get created
+    if (!videoUpload.playlists) {
+      const playlistTitles = playlistTitlesFor({
+        rules: applyPlaylistRules === 'false' ? {} : profileStore.getPlaylistRules(profileId || ProfileStore.DEFAULT_ID),
+        tags: input.tags,
+        genre: input.genre
+      });
+      const pickedPlaylistIds = parseList(playlistIds);
+      if (pickedPlaylistIds.length > 0 || playlistTitles.length > 0) {
+        let playlists;
+        try {
+          playlists = await youtubeUploader.addToPlaylists({
+            channelId: videoUpload.channelId,
+            videoId: videoUpload.videoId,
+            playlistIds: pickedPlaylistIds,
+            playlistTitles
+          });
+        } catch (playlistError) {
+          console.error('Playlist update failed:', playlistError.message);
+          playlists = [{ id: null, title: null, created: false, added: false, error: playlistError.message }];
+        }
+        videoUpload = { ...videoUpload, playlists };
+        saveUpload('video', videoUpload);
+      }
+    }
+
+    let shortUpload = null;
+    if (pushShort) {
+      shortUpload = jobStore.get(job.id).upload?.short;
+      if (!shortUpload?.videoId) {
+        const uploaded = await youtubeUploader.uploadShort({
+          channelId: videoUpload.channelId,
+          videoPath: short.shortPath,
+          title: shortTitle?.trim() || metadata.title,
+          description: metadata.description,
+          tags: metadata.tags,
+          categoryId: '10',
+          scheduledPublishTime: scheduledPublishTime || null,
+          sessionUri: shortUpload?.sessionUri || null,
+          onSession: (sessionUri) => saveUpload('short', { sessionUri }),
+          onProgress: (progress) => jobStore.reportProgress(job.id, { ...progress, percent: 80 + progress.percent * 0.2 })
+        });
+        shortUpload = { videoId: uploaded.videoId };
+        saveUpload('short', shortUpload);
+      }
+    }
+
+    // Clean up everything after successful upload (a short that wasn't uploaded stays for download)
+    await deleteFiles([...inputFiles, videoPath, thumbnailPath, pushShort ? short.shortPath : null]);
+    jobStore.update(job.id, { render: null });
+
+    return {
+      sessionId,
+      videoId: videoUpload.videoId,
+      youtubeUrl: `https://youtube.com/watch?v=${videoUpload.videoId}`,
+      channel: { id: videoUpload.channelId, title: videoUpload.channelTitle },
+      thumbnail: thumbnailPath ? { set: Boolean(videoUpload.thumbnailSet), error: videoUpload.thumbnailError || null } : null,
+      playlists: videoUpload.playlists || [],
+      title: metadata.title,
+      description: metadata.description,
+      tags: metadata.tags,
+      tagReport: metadata.tagReport,
+      bpm,
+      key,
+      voiceTagged,
+      loudness,
+      analysis,
+      short: short && {
+        start: short.start,
+        length: short.length,
+        ...(shortUpload
+          ? { videoId: shortUpload.videoId, youtubeUrl: `https://youtube.com/shorts/${shortUpload.videoId}` }
+          : { downloadUrl: `/api/download-short/${sessionId}` })
+      }
+    };
+  } catch (error) {
+    console.error('Upload process failed:', error);
+    // a failed upload keeps its inputs and render for POST /api/jobs/:id/retry
+    if (!jobStore.get(job.id).render) await deleteFiles(inputFiles);
+    throw error;
+  }
+}
+
+// voice tag + loudness, shared by jobs and previews so a preview sounds like the upload.
+// Intermediate audio files go into tempFiles for the caller to delete.
+async function prepareRenderAudio({ input, audioPath, sessionId, tempFiles, offset = 0 }) {
+  const { profileId, voiceTag, normalizeLoudness, targetLufs, truePeak, audioBitrate, audioSampleRate } = input;
+
+  // the profile's voice tag goes on every render unless this upload opts out; the beat file itself stays clean
+  const tag = profileStore.get(profileId || ProfileStore.DEFAULT_ID)?.voiceTag;
+  let renderAudioPath = audioPath;
+  const voiceTagged = Boolean(tag) && voiceTag !== 'false';
+  if (voiceTagged) {
+    if (!fs.existsSync(tag.path)) {
+      throw new Error('Voice tag file is missing - upload it again in the producer tag settings');
+    }
+    renderAudioPath = await videoGenerator.mixVoiceTag({
+      audioPath,
+      tagPath: tag.path,
+      outputDir: videosDir,
+      sessionId,
+      start: tag.start,
+      interval: tag.interval,
+      gain: tag.gain,
+      duck: tag.duck,
+      offset
+    });
+    tempFiles.push(renderAudioPath);
+  }
+
+  // loudness runs on the tagged mix so the number reported is what viewers hear
+  const audioOptions = videoGenerator.normalizeAudioOptions({ bitrate: audioBitrate, sampleRate: audioSampleRate });
+  let loudness = null;
+  if (normalizeLoudness === 'true') {
+    const normalized = await videoGenerator.normalizeLoudness({
+      audioPath: renderAudioPath,
+      outputDir: videosDir,
+      sessionId,
+      target: targetLufs,
+      truePeak,
+      sampleRate: audioOptions.sampleRate
+    });
+    if (normalized.audioPath !== renderAudioPath) tempFiles.push(normalized.audioPath);
+    renderAudioPath = normalized.audioPath;
+    loudness = normalized.loudness;
+  } else {
+    try {
+      const measured = await videoGenerator.measureLoudness(renderAudioPath);
+      const inputLufs = isFinite(measured.input_i) ? measured.input_i : null;
+      loudness = { target: null, inputLufs, outputLufs: inputLufs, truePeak: isFinite(measured.input_tp) ? measured.input_tp : null, mode: null };
+    } catch (loudnessError) {
+      console.error('Loudness measurement failed:', loudnessError.message);
+    }
+  }
+
+  return { audioPath: renderAudioPath, audioOptions, voiceTagged, loudness };
+}
+
+// analysis -> voice tag -> loudness -> video (+ short) -> metadata
+async function renderJob(job) {
+  const tempFiles = [];
+  try {
+    const input = profileStore.withDefaults(job.input.profileId, job.input);
     const { 
       beatTitle, 
-      tags, 
-      email, 
-      instagramLink, 
       beatstarsLink, 
-      genre, 
       manualBpm, 
       manualKey, 
       backgroundStyle, 
-      scheduledPublishTime,
-      downloadOnly 
-    } = req.body;
-
-    const beatFile = req.files['beatFile'][0];
-    const coverImage = req.files['coverImage'][0];
-    cleanupFiles.push(beatFile.path, coverImage.path);
-
-    const sessionId = uuidv4();
-    console.log(`Starting ${downloadOnly === 'true' ? 'download' : 'upload'} process for session: ${sessionId}`);
+      visualizerColor,
+      visualizerPosition,
+      visualizerFps,
+      textOverlay,
+      producerName,
+      textPosition,
+      textFont,
+      textColor,
+      textSize,
+      textFadeIn,
+      generateShort,
+      shortStart,
+      shortLength
+    } = input;
 
+    const beatFile = job.files.beatFile;
+    const coverImage = job.files.coverImage;
+    const sessionId = job.id;
+    jobStore.setStatus(job.id, 'analyzing');
 
     // bpm/key resolution
     let bpm = manualBpm?.trim() ? parseInt(manualBpm.trim(), 10) : null;
     let key = manualKey?.trim() || null;
 
-    // If manual values not provided, analyze the audio file
-    if (!bpm || isNaN(bpm) || !key) {
-      console.log('Analyzing audio file for BPM and Key...');
-      try {
-        const analyzed = await metadataGenerator.analyzeAudioFile(beatFile.path);
-        if ((!bpm || isNaN(bpm)) && analyzed.bpm) {
+    // Always analyze - manual values still win for bpm/key, but sections/hook only come from here.
+    // Unsure detections stay out of the metadata; the result lists the candidates instead
+    let analysis = { sections: [], hook: null };
+    console.log('Analyzing audio file for BPM, Key and sections...');
+    try {
+      const analyzed = await analyzeBeat(beatFile.path, job.fileHash);
+      analysis = detectionSummary(analyzed);
+      if ((!bpm || isNaN(bpm)) && analyzed.bpm) {
+        if (analyzed.uncertain.bpm) {
+          console.log(`Detected BPM ${analyzed.bpm} is uncertain (${analyzed.bpmConfidence}), leaving it out`);
+        } else {
           bpm = analyzed.bpm;
           console.log(`Detected BPM from audio: ${bpm}`);
         }
-        if (!key && analyzed.key) {
+      }
+      if (!key && analyzed.key) {
+        if (analyzed.uncertain.key) {
+          console.log(`Detected Key ${analyzed.key} is uncertain (${analyzed.keyConfidence}), leaving it out`);
+        } else {
           key = analyzed.key;
           console.log(`Detected Key from audio: ${key}`);
         }
-      } catch (analyzeError) {
-        console.error('Audio analysis failed:', analyzeError);
       }
+    } catch (analyzeError) {
+      console.error('Audio analysis failed:', analyzeError);
     }
 
     if ((!bpm || isNaN(bpm) || !key) && beatstarsLink) {
@@ -275,74 +1552,84 @@ async function handleUpload(req, res) {
       }
     }
 
-    // vid gen
-    const { videoPath, tempFiles } = await videoGenerator.generateVideo({
+    // vid gen (the main render takes most of the bar when a short follows it)
+    jobStore.setStatus(job.id, 'rendering');
+
+    const { audioPath: renderAudioPath, audioOptions, voiceTagged, loudness } = await prepareRenderAudio({
+      input,
       audioPath: beatFile.path,
-      imagePath: coverImage.path,
-      outputDir: videosDir,
       sessionId,
-      backgroundStyle
+      tempFiles
     });
-    cleanupFiles.push(...tempFiles);
 
-    const metadata = await metadataGenerator.generateMetadata({
-      beatTitle,
-      tags,
-      genre,
-      email,
-      instagramLink,
-      beatstarsLink,
-      manualBpm: bpm,
-      manualKey: key
+    const wantsShort = generateShort === 'true';
+    const renderShare = wantsShort ? 0.8 : 1;
+    const overlay = textOverlay === 'true'
+      ? buildTextOverlay({ beatTitle, producerName, bpm, key, textPosition, textFont, textColor, textSize, textFadeIn })
+      : null;
+
+    const { videoPath, tempFiles: videoTempFiles } = await videoGenerator.generateVideo({
+      audioPath: renderAudioPath,
+      imagePath: coverImage.path,
+      outputDir: videosDir,
+      sessionId,
+      backgroundStyle,
+      visualizerOptions: {
+        ...(visualizerColor && { color: visualizerColor }),
+        ...(visualizerPosition && { position: visualizerPosition }),
+        ...(visualizerFps && { fps: visualizerFps })
+      },
+      textOverlay: overlay,
+      audioOptions,
+      onProgress: (percent) => jobStore.reportProgress(job.id, { percent: percent * renderShare })
     });
+    tempFiles.push(...videoTempFiles);
 
-    // If download only, skip YouTube upload
-    if (downloadOnly === 'true') {
-      // Clean up input files but keep the video
-      await deleteFiles([beatFile.path, coverImage.path, ...tempFiles]);
-      
-      res.json({
-        success: true,
+    let short = null;
+    if (wantsShort) {
+      short = await videoGenerator.generateShort({
+        audioPath: renderAudioPath,
+        imagePath: coverImage.path,
+        outputDir: videosDir,
         sessionId,
-        downloadOnly: true,
-        result: {
-          sessionId,
-          title: metadata.title,
-          description: metadata.description,
-          tags: metadata.tags,
-          downloadUrl: `/api/download-video/${sessionId}`
-        }
+        backgroundStyle,
+        // no explicit start -> cut at the detected hook (generateShort falls back to the loudest window)
+        start: shortStart?.trim() ? shortStart : analysis.hook?.start,
+        length: shortLength,
+        textOverlay: overlay,
+        audioOptions,
+        onProgress: (percent) => jobStore.reportProgress(job.id, { percent: 80 + percent * 0.2 })
       });
-      return;
+      tempFiles.push(...short.tempFiles);
     }
 
-    // Upload to YouTube (existing code)
-    const uploadResult = await youtubeUploader.uploadVideo({
-      videoPath,
-      title: metadata.title,
-      description: metadata.description,
-      tags: metadata.tags,
-      categoryId: '10',
-      scheduledPublishTime: scheduledPublishTime || null 
-    });
+    // a broken thumbnail shouldn't cost the render; YouTube just keeps its auto-picked frame
+    let thumbnailPath = null;
+    try {
+      thumbnailPath = await renderThumbnail({
+        input,
+        coverPath: coverImage.path,
+        customPath: job.files.thumbnailImage?.path,
+        sessionId
+      });
+    } catch (thumbnailError) {
+      console.error('Thumbnail generation failed:', thumbnailError.message);
+    }
 
-    // Clean up everything after successful upload
-    await deleteFiles(cleanupFiles.concat(videoPath));
+    const metadata = await generateJobMetadata(input, { bpm, key });
 
-    res.json({
-      success: true,
-      sessionId,
-      result: {
-        videoId: uploadResult.videoId,
-        youtubeUrl: `https://youtube.com/watch?v=${uploadResult.videoId}`,
-        title: metadata.title,
-        description: metadata.description,
-        tags: metadata.tags
-      }
-    });
-  } catch (error) {
-    console.error('Upload process failed:', error);
-    await deleteFiles(cleanupFiles);
-    res.status(500).json({ success: false, error: error.message });
+    return {
+      videoPath,
+      short: short && { shortPath: short.shortPath, start: short.start, length: short.length },
+      thumbnailPath,
+      metadata: { title: metadata.title, description: metadata.description, tags: metadata.tags, tagReport: metadata.tagReport },
+      voiceTagged,
+      loudness,
+      analysis,
+      bpm: bpm && !isNaN(bpm) ? bpm : null,
+      key
+    };
+  } finally {
+    await deleteFiles(tempFiles);
   }
-}
\ No newline at end of file
+}
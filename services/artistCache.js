@@ -0,0 +1,76 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+const cacheKey = (provider, artist) => `${provider}:${String(artist).trim().toLowerCase()}`;
+
+// Similar-artist lookups per provider + artist, kept on disk so the same artists
+// don't hit Last.fm/Deezer/ListenBrainz on every upload. Entries expire after ttlHours;
+// in offline mode expired entries are still served and nothing new is fetched.
+class ArtistCache {
+  constructor(dataDir, { ttlHours = parseFloat(process.env.ARTIST_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS } = {}) {
+    this.filePath = path.join(dataDir, 'artist-cache.json');
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    const stored = readJsonFile(this.filePath, {});
+    this.entries = stored.entries || {};
+    this.offline = stored.offline ?? process.env.ARTIST_LOOKUP_OFFLINE === 'true';
+    console.log(`Loaded ${Object.keys(this.entries).length} cached similar-artist lookups${this.offline ? ' (offline mode)' : ''}`);
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { offline: this.offline, entries: this.entries });
+  }
+
+  isExpired(entry) {
+    return Date.now() - new Date(entry.fetchedAt).getTime() > this.ttlMs;
+  }
+
+  // cached artists, or null on a miss. An entry fetched with a smaller limit can't answer a bigger request.
+  get(provider, artist, limit, { allowExpired = this.offline } = {}) {
+    const entry = this.entries[cacheKey(provider, artist)];
+    if (!entry || (!allowExpired && this.isExpired(entry))) return null;
+    if (entry.artists.length < limit && entry.limit < limit) return null;
+    return entry.artists.slice(0, limit);
+  }
+
+  set(provider, artist, limit, artists) {
+    this.entries[cacheKey(provider, artist)] = {
+      provider,
+      artist: String(artist).trim().toLowerCase(),
+      limit,
+      artists,
+      fetchedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  setOffline(offline) {
+    this.offline = Boolean(offline);
+    this.save();
+  }
+
+  list() {
+    return Object.values(this.entries)
+      .map(entry => ({
+        ...entry,
+        expiresAt: new Date(new Date(entry.fetchedAt).getTime() + this.ttlMs).toISOString(),
+        expired: this.isExpired(entry)
+      }))
+      .sort((a, b) => a.artist.localeCompare(b.artist) || a.provider.localeCompare(b.provider));
+  }
+
+  // clears everything, or only entries matching provider/artist/expired
+  clear({ provider = null, artist = null, expiredOnly = false } = {}) {
+    const removed = Object.entries(this.entries).filter(([, entry]) =>
+      (!provider || entry.provider === provider) &&
+      (!artist || entry.artist === String(artist).trim().toLowerCase()) &&
+      (!expiredOnly || this.isExpired(entry))
+    );
+    removed.forEach(([key]) => delete this.entries[key]);
+    if (removed.length > 0) this.save();
+    return removed.length;
+  }
+}
+
+module.exports = ArtistCache;
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { readJsonFile } = require('./jsonFile');
+
+// Similar-artist sources. Every provider has a `name`, `available()` (false when it's missing
+// a key or data) and `getSimilarArtists(artistName, limit)` which resolves to artist names,
+// most similar first, and throws on failure so the registry can tell "none" from "broken".
+// `network` providers go through the artist cache and the rate limit, local ones don't.
+
+const DEFAULT_PROVIDER_ORDER = ['local', 'lastfm', 'deezer', 'listenbrainz'];
+
+// how many artists each provider is asked for, so there's enough overlap to rank by agreement
+const DEFAULT_FETCH_SIZE = 10;
+
+// minimum gap between two requests to the same network provider
+const PROVIDER_INTERVAL_MS = 250;
+
+class LastfmProvider {
+  constructor({ apiKey = process.env.LASTFM_API_KEY } = {}) {
+    this.name = 'lastfm';
+    this.network = true;
+    this.apiKey = apiKey;
+  }
+
+  available() {
+    return Boolean(this.apiKey);
+  }
+
+  async getSimilarArtists(artistName, limit) {
+    const response = await axios.get('https://ws.audioscrobbler.com/2.0/', {
+      params: {
+        method: 'artist.getsimilar',
+        artist: artistName,
+        api_key: this.apiKey,
+        format: 'json',
+        limit: limit
+      }
+    });
+
+    if (response.data.similarartists && response.data.similarartists.artist) {
+      const artists = Array.isArray(response.data.similarartists.artist)
+        ? response.data.similarartists.artist
+        : [response.data.similarartists.artist];
+
+      return artists.map(artist => artist.name);
+    }
+    return [];
+  }
+}
+
+// ListenBrainz Labs API (no auth required)
+class ListenBrainzProvider {
+  constructor() {
+    this.name = 'listenbrainz';
+    this.network = true;
+  }
+
+  available() {
+    return true;
+  }
+
+  async getSimilarArtists(artistName, limit) {
+    // First, we need to get the MusicBrainz ID for the artist
+    const searchResponse = await axios.get('https://musicbrainz.org/ws/2/artist/', {
+      params: {
+        query: artistName,
+        fmt: 'json',
+        limit: 1
+      },
+      headers: {
+        'User-Agent': 'TypeBeatGenerator/1.0 (contact@example.com)'
+      }
+    });
+
+    if (searchResponse.data.artists && searchResponse.data.artists.length > 0) {
+      const mbid = searchResponse.data.artists[0].id;
+      console.log(`Found MusicBrainz ID for ${artistName}: ${mbid}`);
+
+      // Now get similar artists from ListenBrainz
+      const similarResponse = await axios.get(`https://labs.api.listenbrainz.org/similar-artists/json`, {
+        params: {
+          artist_mbid: mbid,
+          algorithm: 'session_based_days_7500_session_300_contribution_5_threshold_10_limit_100_filter_True_skip_30'
+        }
+      });
+
+      if (similarResponse.data && Array.isArray(similarResponse.data)) {
+        return similarResponse.data
+          .slice(0, limit)
+          .map(item => item.artist_name || item.name);
+      }
+    }
+    return [];
+  }
+}
+
+// Deezer API (no auth)
+class DeezerProvider {
+  constructor() {
+    this.name = 'deezer';
+    this.network = true;
+  }
+
+  available() {
+    return true;
+  }
+
+  async getSimilarArtists(artistName, limit) {
+    // search for artist
+    const searchResponse = await axios.get('https://api.deezer.com/search/artist', {
+      params: {
+        q: artistName,
+        limit: 1
+      }
+    });
+
+    if (searchResponse.data.data && searchResponse.data.data.length > 0) {
+      const artistId = searchResponse.data.data[0].id;
+      console.log(`Found Deezer artist ID for ${artistName}: ${artistId}`);
+
+      // get related artists
+      const relatedResponse = await axios.get(`https://api.deezer.com/artist/${artistId}/related`, {
+        params: {
+          limit: limit
+        }
+      });
+
+      if (relatedResponse.data.data && Array.isArray(relatedResponse.data.data)) {
+        return relatedResponse.data.data.map(artist => artist.name);
+      }
+    }
+    return [];
+  }
+}
+
+// static { "artist": ["similar", ...] } map, for tests and offline runs. Keys are case-insensitive
+// and the file is re-read when it changes, so it can be edited while the server runs.
+class LocalProvider {
+  constructor({ filePath }) {
+    this.name = 'local';
+    this.network = false;
+    this.filePath = filePath;
+    this.map = {};
+    this.loadedAt = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.map = {};
+      this.loadedAt = null;
+      return this.map;
+    }
+    const modified = fs.statSync(this.filePath).mtimeMs;
+    if (this.loadedAt !== modified) {
+      const stored = readJsonFile(this.filePath, {});
+      this.map = Object.fromEntries(
+        Object.entries(stored)
+          .filter(([, artists]) => Array.isArray(artists))
+          .map(([artist, artists]) => [artist.trim().toLowerCase(), artists.map(String)])
+      );
+      this.loadedAt = modified;
+      console.log(`Loaded local similar artists for ${Object.keys(this.map).length} artists from ${this.filePath}`);
+    }
+    return this.map;
+  }
+
+  available() {
+    return Object.keys(this.load()).length > 0;
+  }
+
+  async getSimilarArtists(artistName, limit) {
+    return (this.load()[artistName.trim().toLowerCase()] || []).slice(0, limit);
+  }
+}
+
+// Holds the providers and asks every enabled one, then merges their answers. `order` lists the
+// enabled providers, highest priority first (ARTIST_PROVIDERS=lastfm,deezer); anything not listed
+// is registered but skipped.
+class ArtistProviders {
+  constructor({
+    dataDir,
+    artistCache = null,
+    order = process.env.ARTIST_PROVIDERS,
+    localFile = process.env.SIMILAR_ARTISTS_FILE,
+    lastfmApiKey = process.env.LASTFM_API_KEY
+  } = {}) {
+    this.artistCache = artistCache;
+    this.providers = new Map();
+    // provider name -> earliest time its next request may start
+    this.nextRequestAt = new Map();
+    this.order = (order ? String(order).split(',') : DEFAULT_PROVIDER_ORDER)
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.register(new LocalProvider({ filePath: localFile || path.join(dataDir || process.cwd(), 'similar-artists.json') }));
+    this.register(new LastfmProvider({ apiKey: lastfmApiKey }));
+    this.register(new DeezerProvider());
+    this.register(new ListenBrainzProvider());
+
+    const unknown = this.order.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) console.warn(`Unknown similar-artist providers in config: ${unknown.join(', ')}`);
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  // enabled and usable providers, in priority order
+  enabled() {
+    return this.order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.available());
+  }
+
+  describe() {
+    const names = [...new Set([...this.order, ...this.providers.keys()])].filter(name => this.providers.has(name));
+    return names.map(name => {
+      const provider = this.providers.get(name);
+      const priority = this.order.indexOf(name);
+      return {
+        name,
+        enabled: priority !== -1,
+        available: provider.available(),
+        priority: priority === -1 ? null : priority + 1,
+        network: provider.network
+      };
+    });
+  }
+
+  // rate limit per provider, so different providers can be asked at the same time
+  async waitTurn(provider) {
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextRequestAt.get(provider.name) || 0);
+    this.nextRequestAt.set(provider.name, startAt + PROVIDER_INTERVAL_MS);
+    if (startAt > now) await new Promise(resolve => setTimeout(resolve, startAt - now));
+  }
+
+  // one provider's answer: cache first for network providers; failures come back as []
+  async lookup(provider, artistName, limit) {
+    if (!provider.network) {
+      try {
+        return await provider.getSimilarArtists(artistName, limit);
+      } catch (error) {
+        console.error(`Error getting similar artists from ${provider.name} for ${artistName}:`, error.message);
+        return [];
+      }
+    }
+
+    const cached = this.artistCache?.get(provider.name, artistName, limit);
+    if (cached) {
+      console.log(`Using cached ${provider.name} similar artists for ${artistName}`);
+      return cached;
+    }
+    if (this.artistCache?.offline) {
+      console.log(`Offline mode - no cached ${provider.name} similar artists for ${artistName}`);
+      return [];
+    }
+
+    await this.waitTurn(provider);
+    try {
+      const artists = await provider.getSimilarArtists(artistName, limit);
+      this.artistCache?.set(provider.name, artistName, limit, artists);
+      return artists;
+    } catch (error) {
+      console.error(`Error getting similar artists from ${provider.name} for ${artistName}:`, error.message);
+      return [];
+    }
+  }
+
+  // every enabled provider's list merged into one ranking: artists more providers agree on come
+  // first, then by score - each list position is worth less further down, and lists from
+  // higher-priority providers count a bit more.
+  // -> [{ name, score, sources: [provider names] }]
+  async findSimilar(artistName, { limit = null, fetchSize = DEFAULT_FETCH_SIZE } = {}) {
+    const providers = this.enabled();
+    const merged = new Map();
+    const answers = await Promise.all(
+      providers.map(provider => this.lookup(provider, artistName, Math.max(fetchSize, limit || 0)))
+    );
+
+    for (const [priority, provider] of providers.entries()) {
+      const artists = answers[priority];
+      const weight = Math.max(1 - priority * 0.1, 0.5);
+      console.log(`${provider.name}: ${artists.length} similar artists for ${artistName}`);
+
+      artists.forEach((name, index) => {
+        const key = String(name).trim().toLowerCase();
+        if (!key || key === artistName.trim().toLowerCase()) return;
+        const entry = merged.get(key) || { name: String(name).trim(), score: 0, sources: [], firstSeen: merged.size };
+        if (entry.sources.includes(provider.name)) return;
+        entry.sources.push(provider.name);
+        entry.score += weight * (artists.length - index) / artists.length;
+        merged.set(key, entry);
+      });
+    }
+
+    const ranked = [...merged.values()]
+      .sort((a, b) => b.sources.length - a.sources.length || b.score - a.score || a.firstSeen - b.firstSeen)
+      .map(({ name, score, sources }) => ({ name, score: Math.round(score * 1000) / 1000, sources }));
+    return limit ? ranked.slice(0, limit) : ranked;
+  }
+}
+
+ArtistProviders.DEFAULT_PROVIDER_ORDER = DEFAULT_PROVIDER_ORDER;
+
+module.exports = ArtistProviders;
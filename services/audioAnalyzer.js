@@ -0,0 +1,258 @@
+// BPM/key detection in plain JavaScript, for when analyze_audio.py can't run (no python3 or no librosa,
+// e.g. the Node Docker image). Same approach and output as the Python script minus sections/hook:
+// tempo from the autocorrelation of a spectral-flux onset envelope, key from Krumhansl-Kessler
+// profile correlation against an FFT chroma.
+
+const SAMPLE_RATE = 11025;
+
+const ONSET_FRAME = 1024;
+const ONSET_HOP = 256;
+const CHROMA_FRAME = 4096;
+const CHROMA_HOP = 2048;
+// pitch range the chroma is built from (A1 to roughly C7)
+const CHROMA_MIN_HZ = 55;
+const CHROMA_MAX_HZ = 2100;
+
+const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+const KEY_SHARPNESS = 20;
+
+const MIN_BPM = 50;
+const MAX_BPM = 220;
+const BPM_TOLERANCE = 0.04;
+const DOUBLE_TIME_BELOW = 100;
+// local tempo windows, like librosa's 8 second tempogram
+const TEMPO_WINDOW_SECONDS = 8;
+const TEMPO_WINDOW_HOP_SECONDS = 2;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// in-place radix-2 FFT; re/im length must be a power of two
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const half = size >> 1;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + half;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// magnitude spectrum of every frame, handed to onFrame(magnitudes, frameIndex)
+function stft(samples, frameSize, hop, onFrame) {
+  const window = Float64Array.from({ length: frameSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize));
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const magnitudes = new Float64Array(frameSize / 2);
+  const frames = Math.max(Math.floor((samples.length - frameSize) / hop) + 1, 0);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      magnitudes[bin] = Math.hypot(re[bin], im[bin]);
+    }
+    onFrame(magnitudes, frame);
+  }
+  return frames;
+}
+
+// half-wave rectified spectral flux of the log spectrum, one value per ONSET_HOP
+function onsetEnvelope(samples) {
+  const envelope = [];
+  let previous = null;
+  stft(samples, ONSET_FRAME, ONSET_HOP, (magnitudes) => {
+    const current = Float64Array.from(magnitudes, value => Math.log1p(100 * value));
+    let flux = 0;
+    if (previous) {
+      for (let bin = 0; bin < current.length; bin++) {
+        flux += Math.max(current[bin] - previous[bin], 0);
+      }
+    }
+    envelope.push(flux);
+    previous = current;
+  });
+  return Float64Array.from(envelope);
+}
+
+function chromaProfile(samples) {
+  const binHz = SAMPLE_RATE / CHROMA_FRAME;
+  const pitchClass = Array.from({ length: CHROMA_FRAME / 2 }, (_, bin) => {
+    const hz = bin * binHz;
+    if (hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ) return -1;
+    // MIDI note 69 is A440, pitch class 0 is C
+    return ((Math.round(69 + 12 * Math.log2(hz / 440)) % 12) + 12) % 12;
+  });
+
+  const profile = new Array(12).fill(0);
+  stft(samples, CHROMA_FRAME, CHROMA_HOP, (magnitudes) => {
+    const frame = new Array(12).fill(0);
+    magnitudes.forEach((value, bin) => {
+      if (pitchClass[bin] !== -1) frame[pitchClass[bin]] += value * value;
+    });
+    // each frame normalized to its loudest class, like librosa's chroma, so loud bars don't dominate
+    const peak = Math.max(...frame);
+    if (peak > 0) frame.forEach((value, index) => { profile[index] += value / peak; });
+  });
+  return profile;
+}
+
+function correlation(a, b) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+}
+
+// [{ key, confidence, correlation }] best first, top 3 - see detect_key in analyze_audio.py
+function detectKey(profile) {
+  const rotate = (template, tonic) => template.map((_, i) => template[(i - tonic + 12) % 12]);
+  const scores = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    scores.push({ key: KEY_NAMES[tonic], correlation: correlation(profile, rotate(MAJOR_PROFILE, tonic)) });
+    scores.push({ key: `${KEY_NAMES[tonic]}m`, correlation: correlation(profile, rotate(MINOR_PROFILE, tonic)) });
+  }
+  scores.sort((a, b) => b.correlation - a.correlation);
+
+  const weights = scores.map(score => Math.exp(KEY_SHARPNESS * (score.correlation - scores[0].correlation)));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scores.slice(0, 3).map((score, index) => ({
+    key: score.key,
+    confidence: round(weights[index] / total, 2),
+    correlation: round(score.correlation, 3)
+  }));
+}
+
+// best tempo of an onset envelope slice: autocorrelation read at each bpm's lag (and its multiples,
+// so a steady pulse beats a one-off echo), weighted towards ~120 bpm like librosa's tempo prior
+function bestTempo(envelope, framesPerSecond) {
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centered = envelope.map(value => value - mean);
+  const maxLag = Math.min(Math.ceil(4 * 60 * framesPerSecond / MIN_BPM) + 1, centered.length - 1);
+  if (maxLag < 2) return null;
+
+  const acf = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < centered.length; i++) sum += centered[i] * centered[i + lag];
+    acf[lag] = sum;
+  }
+  if (acf[0] <= 0) return null;
+
+  const at = (lag) => {
+    if (lag >= maxLag) return 0;
+    const low = Math.floor(lag);
+    return acf[low] + (acf[low + 1] - acf[low]) * (lag - low);
+  };
+
+  let best = null;
+  for (let bpm = MIN_BPM; bpm <= MAX_BPM; bpm++) {
+    const lag = 60 * framesPerSecond / bpm;
+    let score = 0;
+    for (let multiple = 1; multiple <= 4; multiple++) score += at(lag * multiple) / multiple;
+    score *= Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+    if (!best || score > best.score) best = { bpm, score };
+  }
+  return best && best.score > 0 ? best.bpm : null;
+}
+
+// [{ bpm, confidence, relation }] - see detect_bpm in analyze_audio.py
+function detectBpm(envelope, framesPerSecond) {
+  const bpm = bestTempo(envelope, framesPerSecond);
+  if (!bpm) return [];
+
+  const windowFrames = Math.round(TEMPO_WINDOW_SECONDS * framesPerSecond);
+  const hopFrames = Math.round(TEMPO_WINDOW_HOP_SECONDS * framesPerSecond);
+  const local = [];
+  for (let start = 0; start + windowFrames <= envelope.length; start += hopFrames) {
+    const tempo = bestTempo(envelope.subarray(start, start + windowFrames), framesPerSecond);
+    if (tempo) local.push(tempo);
+  }
+
+  const share = (value) => local.length
+    ? round(local.filter(tempo => Math.abs(tempo - value) <= value * BPM_TOLERANCE).length / local.length, 2)
+    : 0;
+
+  const candidates = [{ bpm, confidence: share(bpm), relation: 'detected' }];
+
+  const alternative = Math.round(bpm < DOUBLE_TIME_BELOW ? bpm * 2 : bpm / 2);
+  if (alternative >= MIN_BPM && alternative <= MAX_BPM) {
+    candidates.push({ bpm: alternative, confidence: share(alternative), relation: alternative > bpm ? 'double' : 'half' });
+  }
+
+  const counts = new Map();
+  local.forEach(tempo => counts.set(tempo, (counts.get(tempo) || 0) + 1));
+  const others = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([tempo]) => tempo);
+  for (const tempo of others) {
+    if (candidates.length >= 3) break;
+    if (candidates.every(candidate => Math.abs(tempo - candidate.bpm) > candidate.bpm * BPM_TOLERANCE)) {
+      candidates.push({ bpm: tempo, confidence: share(tempo), relation: 'other' });
+    }
+  }
+  return candidates;
+}
+
+// decodeAudioPcm: (audioPath, sampleRate) -> Int16Array, i.e. VideoGenerator#decodeAudioPcm
+class AudioAnalyzer {
+  constructor({ decodeAudioPcm }) {
+    this.decodeAudioPcm = decodeAudioPcm;
+  }
+
+  async analyze(audioPath) {
+    const pcm = await this.decodeAudioPcm(audioPath, SAMPLE_RATE);
+    const samples = Float32Array.from(pcm, value => value / 32768);
+    const duration = samples.length / SAMPLE_RATE;
+
+    const bpmCandidates = detectBpm(onsetEnvelope(samples), SAMPLE_RATE / ONSET_HOP);
+    const keyCandidates = detectKey(chromaProfile(samples));
+
+    return {
+      bpm: bpmCandidates[0]?.bpm ?? null,
+      key: keyCandidates[0]?.key ?? null,
+      bpmConfidence: bpmCandidates[0]?.confidence ?? null,
+      keyConfidence: keyCandidates[0]?.confidence ?? null,
+      bpmCandidates,
+      keyCandidates,
+      duration: round(duration, 2),
+      sections: [],
+      hook: null
+    };
+  }
+}
+
+module.exports = AudioAnalyzer;
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const BEAT_STATUSES = ['uploaded', 'scheduled', 'rendered', 'failed'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Every beat that went through the pipeline, one entry per job, so there's a record of what was
+// posted where after the job and its files are gone. Entries are written when a job finishes
+// (again if a failed upload is retried) and never expire.
+class BeatCatalog {
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, 'beats.json');
+    this.beats = readJsonFile(this.filePath, {});
+    console.log(`Loaded ${Object.keys(this.beats).length} catalogued beats from ${this.filePath}`);
+  }
+
+  save() {
+    writeJsonFile(this.filePath, this.beats);
+  }
+
+  // sha256 of the uploaded beat, streamed so long wavs aren't read into memory
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  // finished job (+ its input with profile defaults filled in) -> catalog entry
+  recordJob(job, input = job.input) {
+    const result = job.result || {};
+    const metadata = job.result || job.render?.metadata || {};
+    const video = job.upload?.video || {};
+    const videoId = result.videoId || video.videoId || null;
+    const scheduledPublishTime = input.scheduledPublishTime || null;
+
+    let status = 'failed';
+    if (job.status === 'done') {
+      if (result.downloadOnly) status = 'rendered';
+      else if (scheduledPublishTime && new Date(scheduledPublishTime) > new Date(job.finishedAt)) status = 'scheduled';
+      else status = 'uploaded';
+    }
+
+    const existing = this.beats[job.id];
+    const now = new Date().toISOString();
+    const beat = {
+      id: job.id,
+      batchId: job.batchId || null,
+      beatTitle: input.beatTitle?.trim() || null,
+      originalName: job.files?.beatFile?.originalName || null,
+      fileHash: job.fileHash || existing?.fileHash || null,
+      artists: splitList(input.tags),
+      genre: input.genre || null,
+      bpm: result.bpm ?? job.render?.bpm ?? null,
+      key: result.key ?? job.render?.key ?? null,
+      title: metadata.title || null,
+      description: metadata.description || null,
+      tags: metadata.tags || [],
+      videoId,
+      youtubeUrl: videoId ? `https://youtube.com/watch?v=${videoId}` : null,
+      shortVideoId: result.short?.videoId || job.upload?.short?.videoId || null,
+      scheduledPublishTime,
+      channelId: result.channel?.id || video.channelId || input.channelId || null,
+      channelTitle: result.channel?.title || video.channelTitle || null,
+      profileId: input.profileId || null,
+      status,
+      error: job.status === 'failed' ? job.error : null,
+      processedAt: job.finishedAt || now,
+      createdAt: existing?.createdAt || job.createdAt || now,
+      updatedAt: now
+    };
+
+    this.beats[job.id] = beat;
+    this.save();
+    return beat;
+  }
+
+  get(id) {
+    return this.beats[id] || null;
+  }
+
+  // earlier beats with the same audio; failed ones never made it out, so they don't count
+  findByHash(fileHash) {
+    if (!fileHash) return [];
+    return Object.values(this.beats)
+      .filter(beat => beat.fileHash === fileHash && beat.status !== 'failed')
+      .sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+  }
+
+  remove(id) {
+    if (!this.beats[id]) return false;
+    delete this.beats[id];
+    this.save();
+    return true;
+  }
+
+  // q matches titles, file name, artists, tags and the video id; from/to bound processedAt
+  search({ q, status, channelId, artist, key, bpmMin, bpmMax, hash, from, to, limit = 50, offset = 0 } = {}) {
+    const query = q?.trim().toLowerCase();
+    const artistName = artist?.trim().toLowerCase();
+    const min = parseFloat(bpmMin);
+    const max = parseFloat(bpmMax);
+    const after = from ? new Date(from).toISOString() : null;
+    // a bare date as the upper bound includes that whole day
+    const before = to ? new Date(new Date(to).getTime() + (DATE_ONLY.test(to) ? DAY_MS : 0)).toISOString() : null;
+
+    const matches = Object.values(this.beats)
+      .filter(beat => !status || beat.status === status)
+      .filter(beat => !channelId || beat.channelId === channelId)
+      .filter(beat => !hash || beat.fileHash === hash)
+      .filter(beat => !key || beat.key?.toLowerCase() === key.trim().toLowerCase())
+      .filter(beat => !artistName || beat.artists.some(name => name.toLowerCase() === artistName))
+      .filter(beat => isNaN(min) || (beat.bpm && beat.bpm >= min))
+      .filter(beat => isNaN(max) || (beat.bpm && beat.bpm <= max))
+      .filter(beat => !after || beat.processedAt >= after)
+      .filter(beat => !before || beat.processedAt < before)
+      .filter(beat => !query || [beat.beatTitle, beat.title, beat.originalName, beat.videoId, ...beat.artists, ...beat.tags]
+        .some(value => value && value.toLowerCase().includes(query)))
+      .sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+
+    return { total: matches.length, beats: matches.slice(offset, offset + limit) };
+  }
+
+  // artist names / channels seen so far, for the history filters
+  facets() {
+    const artists = new Map();
+    const channels = new Map();
+    for (const beat of Object.values(this.beats)) {
+      beat.artists.forEach(name => artists.set(name.toLowerCase(), name));
+      if (beat.channelId) channels.set(beat.channelId, beat.channelTitle || channels.get(beat.channelId) || beat.channelId);
+    }
+    return {
+      artists: [...artists.values()].sort((a, b) => a.localeCompare(b)),
+      channels: [...channels.entries()].map(([id, title]) => ({ id, title })),
+      statuses: BEAT_STATUSES
+    };
+  }
+}
+
+BeatCatalog.STATUSES = BEAT_STATUSES;
+
+module.exports = BeatCatalog;
@@ -5,8 +5,9 @@ const path = require('path');
  * deletes older files periodically
  * @param {string} directory 
  * @param {number} maxAgeMinutes
+ * @param {string[]} keepPaths files still in use (e.g. by queued jobs)
  */
-async function cleanupOldFiles(directory, maxAgeMinutes = 60) {
+async function cleanupOldFiles(directory, maxAgeMinutes = 60, keepPaths = []) {
   const now = Date.now();
   const maxAgeMs = maxAgeMinutes * 60 * 1000;
 
@@ -14,6 +15,7 @@ async function cleanupOldFiles(directory, maxAgeMinutes = 60) {
     const files = await fs.promises.readdir(directory);
     for (const file of files) {
       const filePath = path.join(directory, file);
+      if (keepPaths.includes(filePath)) continue;
       try {
         const stats = await fs.promises.stat(filePath);
 
@@ -0,0 +1,143 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const JOB_STATUSES = ['queued', 'analyzing', 'rendering', 'uploading', 'done', 'failed'];
+const FINISHED_STATUSES = ['done', 'failed'];
+
+// Persists upload jobs to disk so they survive refreshes and restarts.
+// Emits 'update' on every saved change and 'progress' for transient render/upload progress.
+class JobStore extends EventEmitter {
+  constructor(dataDir) {
+    super();
+    this.setMaxListeners(0); // one listener pair per open event stream
+    this.filePath = path.join(dataDir, 'jobs.json');
+    this.jobs = readJsonFile(this.filePath, {});
+    console.log(`Loaded ${Object.keys(this.jobs).length} jobs from ${this.filePath}`);
+  }
+
+  save() {
+    writeJsonFile(this.filePath, this.jobs);
+  }
+
+  create({ input, files, batchId = null, batchIndex = null, fileHash = null }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      batchId,
+      batchIndex,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      input,
+      files,
+      result: null,
+      error: null,
+      retryable: false, // failed upload whose render was kept for a retry
+      fileHash, // sha256 of the beat
+      render: null,
+      upload: null
+    };
+
+    this.jobs[job.id] = job;
+    this.save();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  list({ status, limit = 50 } = {}) {
+    return Object.values(this.jobs)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // jobs created together by a batch submission, in submission order
+  listByBatch(batchId) {
+    return Object.values(this.jobs)
+      .filter(job => job.batchId === batchId)
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+  }
+
+  update(id, changes) {
+    const job = this.jobs[id];
+    if (!job) throw new Error(`Job not found: ${id}`);
+
+    if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+      throw new Error(`Invalid job status: ${changes.status}`);
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (changes.status && FINISHED_STATUSES.includes(changes.status)) {
+      job.finishedAt = job.updatedAt;
+    }
+
+    this.save();
+    this.emit('update', job);
+    return job;
+  }
+
+  // progress ticks are frequent, so they're kept in memory and only hit disk with the next update
+  reportProgress(id, progress) {
+    const job = this.jobs[id];
+    if (!job) return;
+
+    job.progress = { stage: job.status, ...progress };
+    this.emit('progress', job.id, job.progress);
+  }
+
+  setStatus(id, status) {
+    const changes = { status, progress: null };
+    if (status !== 'queued' && !this.jobs[id]?.startedAt) {
+      changes.startedAt = new Date().toISOString();
+    }
+    return this.update(id, changes);
+  }
+
+  // jobs that never finished, oldest first (queued or interrupted mid-run)
+  getUnfinished() {
+    return Object.values(this.jobs)
+      .filter(job => !FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // failed uploads still holding their files, waiting on a retry
+  getRetryable() {
+    return Object.values(this.jobs).filter(job => job.status === 'failed' && job.retryable);
+  }
+
+  // input and rendered file paths still needed by unfinished or retryable jobs
+  getActiveFilePaths() {
+    return [...this.getUnfinished(), ...this.getRetryable()]
+      .flatMap(job => [
+        ...Object.values(job.files || {}).map(file => file.path),
+        job.render?.videoPath,
+        job.render?.short?.shortPath,
+        job.render?.thumbnailPath
+      ])
+      .filter(Boolean);
+  }
+
+  // strip server-side file paths and upload session URIs before sending a job to the client
+  toPublic(job) {
+    const { files, render, upload, ...rest } = job;
+    return {
+      ...rest,
+      hasRender: Boolean(render),
+      files: Object.fromEntries(
+        Object.entries(files || {}).map(([field, file]) => [field, { originalName: file.originalName }])
+      )
+    };
+  }
+}
+
+JobStore.STATUSES = JOB_STATUSES;
+
+module.exports = JobStore;
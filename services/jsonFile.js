@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * reads a json file, returning the fallback if it is missing or unreadable
+ * @param {string} filePath
+ * @param {*} fallback
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`Failed to read ${filePath}:`, err.message);
+    return fallback;
+  }
+}
+
+/**
+ * writes json via a temp file + rename so a crash mid-write can't corrupt it
+ * @param {string} filePath
+ * @param {*} data
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -1,122 +1,52 @@
 //  metadataGenerator.js with last.fm API 
 
 const puppeteer = require('puppeteer');
-const axios = require('axios');
+const path = require('path');
+const { spawn } = require('child_process');
+const { renderTemplate, DEFAULT_TEMPLATES } = require('./templates');
+const { TITLE_FORMULAS, buildTitle, fitTitle, titleCase } = require('./titleFormulas');
+const { selectTags, cleanTag } = require('./tagBudget');
+const ArtistProviders = require('./artistProviders');
+const AudioAnalyzer = require('./audioAnalyzer');
+const VideoGenerator = require('./videoGenerator');
+
+// analyze_audio.py lives at the repo root
+const ANALYZE_SCRIPT = path.join(__dirname, '..', 'analyze_audio.py');
+const ANALYZER_BACKENDS = ['auto', 'python', 'node'];
+
+// detected bpm/key below this confidence (0-1) are only suggestions, not written into metadata
+const MIN_ANALYSIS_CONFIDENCE = parseFloat(process.env.ANALYSIS_MIN_CONFIDENCE) || 0.5;
 
 class MetadataGenerator {
-  constructor() {
-    this.lastfmApiKey = process.env.LASTFM_API_KEY;
-  }
-
-  // Search for similar artists using Last.fm API
-  async getSimilarArtistsLastfm(artistName, limit = 5) {
-    if (!this.lastfmApiKey) {
-      console.warn('Last.fm API key not found. Skipping Last.fm integration.');
-      return [];
-    }
-
-    try {
-      const response = await axios.get('https://ws.audioscrobbler.com/2.0/', {
-        params: {
-          method: 'artist.getsimilar',
-          artist: artistName,
-          api_key: this.lastfmApiKey,
-          format: 'json',
-          limit: limit
-        }
-      });
-
-      if (response.data.similarartists && response.data.similarartists.artist) {
-        const artists = Array.isArray(response.data.similarartists.artist) 
-          ? response.data.similarartists.artist 
-          : [response.data.similarartists.artist];
-        
-        return artists.map(artist => artist.name);
-      }
-      return [];
-    } catch (error) {
-      console.error(`Error getting similar artists from Last.fm for ${artistName}:`, error.message);
-      return [];
-    }
-  }
-
-  // Search for similar artists using ListenBrainz Labs API (no auth required!)
-  async getSimilarArtistsListenBrainz(artistName, limit = 5) {
-    try {
-      // First, we need to get the MusicBrainz ID for the artist
-      const searchResponse = await axios.get('https://musicbrainz.org/ws/2/artist/', {
-        params: {
-          query: artistName,
-          fmt: 'json',
-          limit: 1
-        },
-        headers: {
-          'User-Agent': 'TypeBeatGenerator/1.0 (contact@example.com)'
-        }
-      });
-
-      if (searchResponse.data.artists && searchResponse.data.artists.length > 0) {
-        const mbid = searchResponse.data.artists[0].id;
-        console.log(`Found MusicBrainz ID for ${artistName}: ${mbid}`);
-
-        // Now get similar artists from ListenBrainz
-        const similarResponse = await axios.get(`https://labs.api.listenbrainz.org/similar-artists/json`, {
-          params: {
-            artist_mbid: mbid,
-            algorithm: 'session_based_days_7500_session_300_contribution_5_threshold_10_limit_100_filter_True_skip_30'
-          }
-        });
-
-        if (similarResponse.data && Array.isArray(similarResponse.data)) {
-          return similarResponse.data
-            .slice(0, limit)
-            .map(item => item.artist_name || item.name);
-        }
-      }
-      return [];
-    } catch (error) {
-      console.error(`Error getting similar artists from ListenBrainz for ${artistName}:`, error.message);
-      return [];
+  // artistProviders (services/artistProviders.js) decides which similar-artist sources are asked;
+  // without one the default set is used, with artistCache in front of the network ones.
+  // analyzer picks the bpm/key backend: 'python' (librosa), 'node' (services/audioAnalyzer.js) or
+  // 'auto' - python, falling back to node when it fails and for good once python3/librosa is missing
+  constructor({ artistCache = null, artistProviders = null, audioAnalyzer = null, analyzer = process.env.AUDIO_ANALYZER } = {}) {
+    this.artistProviders = artistProviders || new ArtistProviders({ artistCache });
+    if (!audioAnalyzer) {
+      const decoder = new VideoGenerator();
+      audioAnalyzer = new AudioAnalyzer({ decodeAudioPcm: (...args) => decoder.decodeAudioPcm(...args) });
     }
+    this.audioAnalyzer = audioAnalyzer;
+    this.analyzer = ANALYZER_BACKENDS.includes(analyzer) ? analyzer : 'auto';
+    this.pythonAvailable = null;
   }
 
-  // similar artists with Deezer API (no auth)
-  async getSimilarArtistsDeezer(artistName, limit = 5) {
-    try {
-      // search for artist
-      const searchResponse = await axios.get('https://api.deezer.com/search/artist', {
-        params: {
-          q: artistName,
-          limit: 1
-        }
-      });
-
-      if (searchResponse.data.data && searchResponse.data.data.length > 0) {
-        const artistId = searchResponse.data.data[0].id;
-        console.log(`Found Deezer artist ID for ${artistName}: ${artistId}`);
-
-        // get related artists
-        const relatedResponse = await axios.get(`https://api.deezer.com/artist/${artistId}/related`, {
-          params: {
-            limit: limit
-          }
-        });
-
-        if (relatedResponse.data.data && Array.isArray(relatedResponse.data.data)) {
-          return relatedResponse.data.data.map(artist => artist.name);
-        }
-      }
-      return [];
-    } catch (error) {
-      console.error(`Error getting similar artists from Deezer for ${artistName}:`, error.message);
-      return [];
-    }
+  // similar artists from every enabled provider, merged and ranked by agreement
+  async getExpandedArtistList(inputArtists, targetCount = 10, options = {}) {
+    const { artists } = await this.getArtistExpansion(inputArtists, targetCount, options);
+    return artists.map(artist => artist.name);
   }
 
-  // api fallbacks
-  async getExpandedArtistList(inputArtists, targetCount = 10) {
-    const artists = inputArtists.split(',').map(name => name.trim()).filter(Boolean);
-    const expandedArtists = new Set(artists.map(a => a.toLowerCase()));
+  // the expanded list with where each artist came from:
+  // { artists: [{ name, source: 'input' } | { name, source: 'similar', from, sources, score }], blocked }
+  // exclude (the profile's blocklist) only filters found artists - the next best one takes the slot
+  async getArtistExpansion(inputArtists, targetCount = 10, { exclude = [] } = {}) {
+    const artists = String(inputArtists || '').split(',').map(name => name.trim()).filter(Boolean);
+    const expandedArtists = new Map(artists.map(a => [a.toLowerCase(), { name: a.toLowerCase(), source: 'input' }]));
+    const excluded = new Set(exclude.map(name => String(name).trim().toLowerCase()));
+    const blocked = new Set();
     
     console.log(`Expanding artist list from ${artists.length} to ${targetCount} artists...`);
 
@@ -141,36 +71,22 @@ class MetadataGenerator {
 
         console.log(`Fetching ${limitForThisArtist} similar artists for ${artist}...`);
         
-        let similarArtists = [];
-
-        // lastfm
-        if (this.lastfmApiKey) {
-          console.log(`Trying Last.fm for ${artist}...`);
-          similarArtists = await this.getSimilarArtistsLastfm(artist, limitForThisArtist);
-        }
-
-        // deezer fallback
-        if (similarArtists.length === 0) {
-          console.log(`Trying Deezer for ${artist}...`);
-          similarArtists = await this.getSimilarArtistsDeezer(artist, limitForThisArtist);
-        }
-
-        // listenbrainz fallback 
-        if (similarArtists.length === 0) {
-          console.log(`Trying ListenBrainz for ${artist}...`);
-          similarArtists = await this.getSimilarArtistsListenBrainz(artist, limitForThisArtist);
-        }
+        const similarArtists = await this.artistProviders.findSimilar(artist);
 
         if (similarArtists.length > 0) {
-          console.log(`Found ${similarArtists.length} similar artists for ${artist}:`, similarArtists.join(', '));
+          console.log(`Found ${similarArtists.length} similar artists for ${artist}:`, similarArtists.map(({ name, sources }) => `${name} (${sources.join('/')})`).join(', '));
           
           // add artists
           let added = 0;
-          for (const name of similarArtists) {
+          for (const { name, sources, score } of similarArtists) {
             if (added >= limitForThisArtist) break;
             const lowerName = name.toLowerCase();
+            if (excluded.has(lowerName)) {
+              blocked.add(lowerName);
+              continue;
+            }
             if (!expandedArtists.has(lowerName)) {
-              expandedArtists.add(lowerName);
+              expandedArtists.set(lowerName, { name: lowerName, source: 'similar', from: artist, sources, score });
               added++;
             }
           }
@@ -178,39 +94,75 @@ class MetadataGenerator {
         } else {
           console.log(`No similar artists found for ${artist}`);
         }
-        
-        // rate limit
-        await new Promise(resolve => setTimeout(resolve, 250));
       }
     } catch (error) {
       console.error('Error expanding artist list:', error.message);
     }
 
-    const result = Array.from(expandedArtists);
-    console.log(`Final artist list (${result.length}):`, result.join(', '));
+    const result = Array.from(expandedArtists.values());
+    console.log(`Final artist list (${result.length}):`, result.map(artist => artist.name).join(', '));
     console.log(`Distribution: ${artists.length} input + ${result.length - artists.length} similar = ${result.length} total`);
-    return result;
+    if (blocked.size > 0) console.log(`Skipped blocklisted artists: ${[...blocked].join(', ')}`);
+    return { artists: result, blocked: [...blocked] };
   }
 
-  async generateEnhancedTags(inputArtists, genre = null) {
-    const allArtists = await this.getExpandedArtistList(inputArtists, 10);
+  // what an upload would be tagged with, without rendering anything - for reviewing the found
+  // artists and tags before the job is queued
+  async previewMetadata({ tags, genre, excludeArtists = [] }) {
+    const { artists, blocked } = await this.getArtistExpansion(tags, 10, { exclude: excludeArtists });
+    const candidates = await this.generateTagCandidates(tags || '', genre, artists.map(artist => artist.name));
+    const { tags: selected, ...tagReport } = selectTags(candidates);
+    const selectedTags = new Set(selected);
+    const dropReasons = new Map(tagReport.dropped.map(item => [item.tag, item.reason]));
+
+    // selectTags reports cleaned tags ("#drake" -> "drake"), so look candidates up the same way
+    return {
+      artists,
+      blocked,
+      tags: candidates.map(candidate => {
+        const tag = cleanTag(candidate.tag);
+        return {
+          ...candidate,
+          selected: selectedTags.has(tag),
+          dropped: selectedTags.has(tag) ? null : dropReasons.get(tag) || null
+        };
+      }),
+      tagReport
+    };
+  }
+
+  // artistList skips the similar-artist lookup when the caller already has one
+  async generateEnhancedTags(inputArtists, genre = null, artistList = null) {
+    const candidates = await this.generateTagCandidates(inputArtists, genre, artistList);
+    return candidates.map(candidate => candidate.tag);
+  }
+
+  // every tag idea with the category tagBudget ranks it by: artist (from the input),
+  // combo, similar (found artist), genre or generic
+  async generateTagCandidates(inputArtists, genre = null, artistList = null) {
+    const allArtists = artistList || await this.getExpandedArtistList(inputArtists, 10);
+    const inputNames = new Set(String(inputArtists || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean));
     
-    const tags = new Set();
+    const tags = new Map();
+    const add = (tag, category) => {
+      if (!tags.has(tag)) tags.set(tag, category);
+    };
     const currentYear = new Date().getFullYear();
     const lastYear = currentYear - 1;
 
     allArtists.forEach(artist => {
       const cleanArtist = artist.replace(/\s+/g, '').toLowerCase();
+      const category = inputNames.has(artist.toLowerCase()) ? 'artist' : 'similar';
       
-      tags.add(`${artist} type beat`);
-      tags.add(`${cleanArtist} type beat`);
-      tags.add(`free ${artist} type beat`);
-      tags.add(`${artist} ${currentYear} type beat`);
-      tags.add(`${artist} type beat ${currentYear}`);
-      tags.add(`${artist} type beat free`);
+      add(`${artist} type beat`, category);
+      add(`${cleanArtist} type beat`, category);
+      add(`free ${artist} type beat`, category);
+      add(`${artist} ${currentYear} type beat`, category);
+      add(`${artist} type beat ${currentYear}`, category);
+      add(`${artist} type beat free`, category);
       
       //add hashtag version
-      tags.add(`#${cleanArtist}`);
+      add(`#${cleanArtist}`, category);
     });
 
     const topArtists = allArtists.slice(0, 5);
@@ -218,19 +170,19 @@ class MetadataGenerator {
       for (let j = i + 1; j < Math.min(i + 3, topArtists.length); j++) {
         const clean1 = topArtists[i].replace(/\s+/g, '').toLowerCase();
         const clean2 = topArtists[j].replace(/\s+/g, '').toLowerCase();
-        tags.add(`${clean1} x ${clean2} type beat`);
-        tags.add(`${topArtists[i]} x ${topArtists[j]} type beat`);
+        add(`${clean1} x ${clean2} type beat`, 'combo');
+        add(`${topArtists[i]} x ${topArtists[j]} type beat`, 'combo');
       }
     }
 
     // genre-specific tags
     if (genre) {
-      tags.add(`${genre} type beat`);
-      tags.add(`${genre} beat ${currentYear}`);
-      tags.add(`free ${genre} beat`);
+      add(`${genre} type beat`, 'genre');
+      add(`${genre} beat ${currentYear}`, 'genre');
+      add(`free ${genre} beat`, 'genre');
       
       topArtists.slice(0, 3).forEach(artist => {
-        tags.add(`${artist} ${genre} type beat`);
+        add(`${artist} ${genre} type beat`, 'genre');
       });
     }
 
@@ -254,9 +206,27 @@ class MetadataGenerator {
       'free instrumental'
     ];
     
-    genericTags.forEach(tag => tags.add(tag));
+    genericTags.forEach(tag => add(tag, 'generic'));
+
+    return Array.from(tags, ([tag, category]) => ({ tag, category }));
+  }
 
-    return Array.from(tags);
+  // one title per formula in services/titleFormulas.js, each fitted to YouTube's 100 characters
+  generateTitleVariants({ beatTitle, tags, bpm = null, mood = '', free = true, includeYear = true }) {
+    const values = {
+      name: String(beatTitle || '').trim(),
+      artists: String(tags || '').split(',').map(name => name.trim()).filter(Boolean).map(name => titleCase(name.toLowerCase())),
+      mood: mood ? titleCase(String(mood).trim().toLowerCase()) : '',
+      bpm: parseInt(bpm, 10) || null,
+      free: free !== false && free !== 'false',
+      year: includeYear !== false && includeYear !== 'false' ? new Date().getFullYear() : null
+    };
+
+    const seen = new Set();
+    return TITLE_FORMULAS
+      .map(formula => ({ formula: formula.id, name: formula.name, title: buildTitle(formula, values) }))
+      .filter(variant => !seen.has(variant.title) && seen.add(variant.title))
+      .map(variant => ({ ...variant, length: variant.title.length }));
   }
 
   generateSEOParagraph(tags, maxTags = 50) {
@@ -264,16 +234,54 @@ class MetadataGenerator {
     return selectedTags.join(', ');
   }
 
+// marks which detected values are too unsure to use as-is; no confidence reported counts as sure
+withConfidence(analysis) {
+  const unsure = (value, confidence) => Boolean(value) && confidence != null && confidence < MIN_ANALYSIS_CONFIDENCE;
+  return {
+    bpmConfidence: null,
+    keyConfidence: null,
+    bpmCandidates: [],
+    keyCandidates: [],
+    ...analysis,
+    uncertain: {
+      bpm: unsure(analysis.bpm, analysis.bpmConfidence),
+      key: unsure(analysis.key, analysis.keyConfidence)
+    }
+  };
+}
+
 async analyzeAudioFile(audioPath) {
-  const { spawn } = require('child_process');
-  const path = require('path');
-  
+  if (this.analyzer === 'node' || (this.analyzer === 'auto' && this.pythonAvailable === false)) {
+    return this.analyzeWithNode(audioPath);
+  }
+
+  try {
+    return await this.analyzeWithPython(audioPath);
+  } catch (error) {
+    if (this.analyzer === 'python') throw error;
+    if (error.pythonMissing) {
+      this.pythonAvailable = false;
+      console.log('python3/librosa not available - using the JavaScript analyzer from now on');
+    } else {
+      console.error(`Python analysis failed (${error.message}), falling back to the JavaScript analyzer`);
+    }
+    return this.analyzeWithNode(audioPath);
+  }
+}
+
+// bpm/key only - no sections or hook, so shorts fall back to the loudest window
+async analyzeWithNode(audioPath) {
+  console.log(`Analyzing audio file with the JavaScript analyzer: ${audioPath}`);
+  const result = await this.audioAnalyzer.analyze(audioPath);
+  console.log(`Audio analysis successful: BPM=${result.bpm} (${result.bpmConfidence ?? '?'}), Key=${result.key} (${result.keyConfidence ?? '?'})`);
+  return this.withConfidence(result);
+}
+
+analyzeWithPython(audioPath) {
   return new Promise((resolve, reject) => {
-    const scriptPath = path.join(__dirname, 'analyze_audio.py');
-    
     console.log(`Analyzing audio file: ${audioPath}`);
     
-    const python = spawn('python3', [scriptPath, audioPath]);
+    const python = spawn('python3', [ANALYZE_SCRIPT, audioPath]);
     
     let dataString = '';
     let errorString = '';
@@ -289,7 +297,9 @@ async analyzeAudioFile(audioPath) {
     python.on('close', (code) => {
       if (code !== 0) {
         console.error(`Python script error output: ${errorString}`);
-        reject(new Error(`Audio analysis failed with code ${code}`));
+        const error = new Error(`Audio analysis failed with code ${code}`);
+        error.pythonMissing = /ModuleNotFoundError|No module named/.test(errorString);
+        reject(error);
         return;
       }
       
@@ -298,10 +308,20 @@ async analyzeAudioFile(audioPath) {
         
         if (result.error) {
           console.error(`Audio analysis error: ${result.error}`);
-          resolve({ bpm: null, key: null });
+          resolve(this.withConfidence({ bpm: null, key: null, sections: [], hook: null }));
         } else {
-          console.log(`Audio analysis successful: BPM=${result.bpm}, Key=${result.key}`);
-          resolve({ bpm: result.bpm, key: result.key });
+          console.log(`Audio analysis successful: BPM=${result.bpm} (${result.bpm_confidence ?? '?'}), Key=${result.key} (${result.key_confidence ?? '?'}), Hook=${result.hook ? `${result.hook.start}s-${result.hook.end}s` : 'none'}`);
+          resolve(this.withConfidence({
+            bpm: result.bpm,
+            key: result.key,
+            bpmConfidence: result.bpm_confidence ?? null,
+            keyConfidence: result.key_confidence ?? null,
+            bpmCandidates: result.bpm_candidates || [],
+            keyCandidates: result.key_candidates || [],
+            duration: result.duration ?? null,
+            sections: result.sections || [],
+            hook: result.hook || null
+          }));
         }
       } catch (error) {
         console.error('Failed to parse audio analysis result:', error);
@@ -311,13 +331,19 @@ async analyzeAudioFile(audioPath) {
     });
     
     python.on('error', (error) => {
-      console.error('Failed to start Python process:', error);
-      reject(new Error(`Failed to start audio analysis: ${error.message}`));
+      console.error('Failed to start Python process:', error.message);
+      const startError = new Error(`Failed to start audio analysis: ${error.message}`);
+      startError.pythonMissing = error.code === 'ENOENT';
+      reject(startError);
     });
   });
 }
 
-async generateMetadata({ beatTitle, tags, genre, email, instagramLink, beatstarsLink, manualBpm, manualKey }) {
+// title/description come from the producer's templates (see services/templates.js); a videoTitle
+// picked from generateTitleVariants replaces the title template. expandArtists=false skips the
+// similar-artist lookups, for quick previews. artistList (reviewed in the form) replaces the lookup,
+// excludeArtists is the profile's blocklist and rejectedTags never make it into the tags.
+async generateMetadata({ beatTitle, videoTitle, tags, genre, email, instagramLink, tiktokLink, twitterLink, beatstarsLink, licensingText, producerName, manualBpm, manualKey, templates = DEFAULT_TEMPLATES, expandArtists = true, artistList = null, excludeArtists = [], rejectedTags = [] }) {
   console.log('Generating metadata with provided values:', { 
     beatTitle, 
     tags, 
@@ -326,41 +352,43 @@ async generateMetadata({ beatTitle, tags, genre, email, instagramLink, beatstars
     manualBpm, 
     manualKey 
   });
-  
-  const bpm = manualBpm;
-  const key = manualKey;
-
-  const title = beatTitle;
 
-  let description = '';
-  description += email 
-    ? `mail - ${email}\n`
-    : 'mail - placeholder@gmail.com\n';
-    
-  description += instagramLink
-    ? `ig - ${instagramLink}\n`
-    : 'ig - instagram.com/1mains\n';
-
-  if (beatstarsLink) {
-    description += `download/purchase - ${beatstarsLink}\n`;
+  const artists = String(tags || '').split(',').map(name => name.trim()).filter(Boolean);
+  let allArtists = artists;
+  if (artistList?.length > 0) {
+    allArtists = artistList;
+  } else if (expandArtists && artists.length > 0) {
+    allArtists = await this.getExpandedArtistList(tags, 10, { exclude: excludeArtists });
   }
-
-  description += '\n';
-  description += bpm ? `${bpm}bpm\n` : 'Not Found\n';
-  description += key ? `${key}\n` : 'Not Found\n';
-
-  description += '\n';
-  description += 'important: free for nonprofit only, purchase a lease by contacting me thru instagram/email\n\n';
-
-  const allTags = await this.generateEnhancedTags(tags, genre);
-  const seoParagraph = this.generateSEOParagraph(allTags, 50);
-  
-  description += `${seoParagraph}`;
+  const rejected = new Set(rejectedTags.map(tag => String(tag).trim().toLowerCase()));
+  const candidates = (await this.generateTagCandidates(tags || '', genre, allArtists))
+    .filter(candidate => !rejected.has(candidate.tag.toLowerCase()));
+  const allTags = candidates.map(candidate => candidate.tag);
+  const { tags: videoTags, ...tagReport } = selectTags(candidates);
+
+  const values = {
+    title: beatTitle,
+    bpm: manualBpm,
+    key: manualKey,
+    artists,
+    similarArtists: allArtists,
+    genre,
+    producerName,
+    email,
+    instagramLink,
+    tiktokLink,
+    twitterLink,
+    beatstarsLink,
+    licensingText,
+    seoTags: this.generateSEOParagraph(allTags, 50),
+    year: new Date().getFullYear()
+  };
 
   return {
-    title,
-    description,
-    tags: allTags.slice(0, 15) 
+    title: fitTitle(videoTitle?.trim() ? videoTitle : renderTemplate(templates.title || DEFAULT_TEMPLATES.title, values)),
+    description: renderTemplate(templates.description || DEFAULT_TEMPLATES.description, values).trim(),
+    tags: videoTags,
+    tagReport
   };
 }
 
@@ -627,28 +655,8 @@ async generateMetadata({ beatTitle, tags, genre, email, instagramLink, beatstars
     
     return [...new Set(generatedTags)];
   }
-
-  formatDescription(baseDescription, instagramLink, beatstarsLink) {
-    let description = baseDescription;
-    
-    description += '\n\n━━━━━━━━━━━━━━━━━━━━━━\n';
-    
-    if (beatstarsLink) {
-      description += `💰 Purchase (Untagged): ${beatstarsLink}\n`;
-    }
-    
-    if (instagramLink) {
-      description += `📸 Follow me: ${instagramLink}\n`;
-    }
-    
-    description += '\n━━━━━━━━━━━━━━━━━━━━━━\n';
-    description += '🔥 More fire beats coming soon!\n';
-    description += '🔔 Subscribe and turn on notifications\n';
-    description += '💬 Leave a comment if you vibe with this beat\n\n';
-    description += '#typebeat #beats #instrumental #music #producer';
-    
-    return description;
-  }
 }
 
+MetadataGenerator.MIN_ANALYSIS_CONFIDENCE = MIN_ANALYSIS_CONFIDENCE;
+
 module.exports = MetadataGenerator;
\ No newline at end of file
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { parseTemplate, DEFAULT_TEMPLATES } = require('./templates');
+
+const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_VOICE_TAG_SETTINGS = {
+  start: 0, // seconds before the first tag
+  interval: 30, // seconds between tag starts
+  gain: 0, // dB applied to the tag
+  duck: 6 // dB the beat drops while the tag plays
+};
+
+// playlist titles built from each upload; {artist} is the first artist in the tags, {genre} the genre field
+const DEFAULT_PLAYLIST_RULES = {
+  artist: { enabled: false, template: '{artist} Type Beats' },
+  genre: { enabled: false, template: '{genre} Beats' }
+};
+
+const MAX_BLOCKLIST_SIZE = 500;
+
+// malformed playlist rules from the client, as opposed to a failed save
+class PlaylistRuleError extends Error {}
+
+// producer details and their max lengths
+const PROFILE_FIELDS = {
+  name: 100,
+  producerName: 100,
+  email: 200,
+  instagramLink: 300,
+  tiktokLink: 300,
+  twitterLink: 300,
+  beatstarsLink: 300,
+  licensingText: 2000,
+  defaultGenre: 50,
+  defaultBackgroundStyle: 50,
+  defaultChannelId: 100
+};
+
+// upload field -> profile field it falls back to when the form leaves it blank
+const UPLOAD_DEFAULTS = {
+  producerName: 'producerName',
+  email: 'email',
+  instagramLink: 'instagramLink',
+  tiktokLink: 'tiktokLink',
+  twitterLink: 'twitterLink',
+  beatstarsLink: 'beatstarsLink',
+  licensingText: 'licensingText',
+  genre: 'defaultGenre',
+  backgroundStyle: 'defaultBackgroundStyle',
+  channelId: 'defaultChannelId'
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+};
+
+// Producer profiles: contact details and defaults an upload falls back to, plus the settings that
+// outlive a single upload - voice tag, playlist rules, title/description templates and the artist blocklist.
+// Tag audio is copied under <dataDir>/voice-tags so /tmp cleanup never touches it.
+class ProfileStore {
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, 'profiles.json');
+    this.voiceTagsDir = path.join(dataDir, 'voice-tags');
+    this.profiles = readJsonFile(this.filePath, {});
+
+    if (!this.profiles[DEFAULT_PROFILE_ID]) {
+      const now = new Date().toISOString();
+      this.profiles[DEFAULT_PROFILE_ID] = { id: DEFAULT_PROFILE_ID, name: 'Default', voiceTag: null, createdAt: now, updatedAt: now };
+      this.save();
+    }
+  }
+
+  save() {
+    writeJsonFile(this.filePath, this.profiles);
+  }
+
+  get(id = DEFAULT_PROFILE_ID) {
+    return this.profiles[id] || null;
+  }
+
+  // default profile first, the rest by name
+  list() {
+    return Object.values(this.profiles).sort((a, b) =>
+      (b.id === DEFAULT_PROFILE_ID) - (a.id === DEFAULT_PROFILE_ID) || a.name.localeCompare(b.name)
+    );
+  }
+
+  // only known fields, trimmed and cut to length; throws on a bad email before anything is saved
+  normalizeDetails(details = {}) {
+    const normalized = {};
+    Object.entries(PROFILE_FIELDS).forEach(([field, maxLength]) => {
+      if (details[field] === undefined) return;
+      normalized[field] = String(details[field] ?? '').trim().slice(0, maxLength);
+    });
+    if (normalized.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized.email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    if (normalized.name === '') throw new Error('Profile name is required');
+    return normalized;
+  }
+
+  create(details = {}) {
+    const normalized = this.normalizeDetails(details);
+    if (!normalized.name) throw new Error('Profile name is required');
+
+    const now = new Date().toISOString();
+    const profile = { id: uuidv4(), voiceTag: null, ...normalized, createdAt: now, updatedAt: now };
+    this.profiles[profile.id] = profile;
+    this.save();
+    return profile;
+  }
+
+  updateDetails(id, details) {
+    return this.update(id, this.normalizeDetails(details));
+  }
+
+  // the default profile always stays so there's something to fall back to
+  remove(id) {
+    if (id === DEFAULT_PROFILE_ID) throw new Error('The default profile can\'t be deleted');
+    const profile = this.get(id);
+    if (!profile) throw new Error(`Profile not found: ${id}`);
+
+    if (profile.voiceTag?.path) this.deleteTagFile(profile.voiceTag.path);
+    delete this.profiles[id];
+    this.save();
+  }
+
+  // upload input with blank fields filled from the profile; an unknown profile leaves it as it is
+  withDefaults(id, input = {}) {
+    const profile = this.get(id || DEFAULT_PROFILE_ID);
+    if (!profile) return { ...input };
+
+    const filled = { ...input };
+    Object.entries(UPLOAD_DEFAULTS).forEach(([field, profileField]) => {
+      if (isBlank(filled[field]) && !isBlank(profile[profileField])) filled[field] = profile[profileField];
+    });
+    return filled;
+  }
+
+  update(id, changes) {
+    const profile = this.profiles[id];
+    if (!profile) throw new Error(`Profile not found: ${id}`);
+
+    Object.assign(profile, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return profile;
+  }
+
+  normalizeVoiceTagSettings(settings = {}, current = DEFAULT_VOICE_TAG_SETTINGS) {
+    return {
+      start: clampNumber(settings.start, 0, 600, current.start),
+      interval: clampNumber(settings.interval, 5, 600, current.interval),
+      gain: clampNumber(settings.gain, -30, 12, current.gain),
+      duck: clampNumber(settings.duck, 0, 40, current.duck)
+    };
+  }
+
+  // file is a multer upload (optional when only the settings change)
+  setVoiceTag(id, { file = null, settings = {} }) {
+    const profile = this.get(id);
+    if (!profile) throw new Error(`Profile not found: ${id}`);
+
+    const current = profile.voiceTag;
+    if (!file && !current) throw new Error('A voice tag audio file is required');
+
+    let voiceTag = { ...current };
+    if (file) {
+      fs.mkdirSync(this.voiceTagsDir, { recursive: true });
+      const tagPath = path.join(this.voiceTagsDir, `${id}-${Date.now()}${path.extname(file.originalname)}`);
+      fs.copyFileSync(file.path, tagPath);
+      if (current?.path && current.path !== tagPath) this.deleteTagFile(current.path);
+
+      voiceTag = { path: tagPath, originalName: file.originalname, uploadedAt: new Date().toISOString() };
+    }
+
+    return this.update(id, {
+      voiceTag: { ...voiceTag, ...this.normalizeVoiceTagSettings(settings, current || DEFAULT_VOICE_TAG_SETTINGS) }
+    });
+  }
+
+  removeVoiceTag(id) {
+    const profile = this.get(id);
+    if (!profile) throw new Error(`Profile not found: ${id}`);
+
+    if (profile.voiceTag?.path) this.deleteTagFile(profile.voiceTag.path);
+    return this.update(id, { voiceTag: null });
+  }
+
+  deleteTagFile(tagPath) {
+    try {
+      if (fs.existsSync(tagPath)) fs.unlinkSync(tagPath);
+    } catch (err) {
+      console.error(`Failed to delete voice tag ${tagPath}:`, err.message);
+    }
+  }
+
+  getPlaylistRules(id = DEFAULT_PROFILE_ID) {
+    return this.normalizePlaylistRules(this.get(id)?.playlistRules);
+  }
+
+  normalizePlaylistRules(rules = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_PLAYLIST_RULES).map(([type, defaults]) => {
+      const rule = rules?.[type] || {};
+      const template = String(rule.template ?? '').trim().slice(0, 150);
+      return [type, {
+        enabled: rule.enabled === true || rule.enabled === 'true',
+        template: template.includes(`{${type}}`) ? template : defaults.template
+      }];
+    }));
+  }
+
+  // blank templates fall back to the defaults; anything malformed throws a PlaylistRuleError before saving
+  setPlaylistRules(id, rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new PlaylistRuleError('Playlist rules must be an object');
+    }
+    for (const [type, rule] of Object.entries(rules)) {
+      if (!DEFAULT_PLAYLIST_RULES[type]) throw new PlaylistRuleError(`Unknown playlist rule: ${type}`);
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new PlaylistRuleError(`The ${type} rule must be an object`);
+      }
+      if (rule.enabled !== undefined && ![true, false, 'true', 'false'].includes(rule.enabled)) {
+        throw new PlaylistRuleError(`The ${type} rule's enabled flag must be true or false`);
+      }
+      const template = String(rule.template ?? '').trim();
+      if (template && !template.includes(`{${type}}`)) {
+        throw new PlaylistRuleError(`The ${type} playlist title needs a {${type}} placeholder`);
+      }
+    }
+    return this.update(id, { playlistRules: this.normalizePlaylistRules(rules) });
+  }
+
+  getTemplates(id = DEFAULT_PROFILE_ID) {
+    return { ...DEFAULT_TEMPLATES, ...this.get(id)?.templates };
+  }
+
+  // blank templates fall back to the defaults; broken ones throw a TemplateError before anything is saved
+  setTemplates(id, { title, description } = {}) {
+    const templates = {};
+    if (String(title ?? '').trim()) templates.title = String(title).slice(0, 1000);
+    if (String(description ?? '').trim()) templates.description = String(description).slice(0, 10000);
+    Object.values(templates).forEach(parseTemplate);
+
+    return this.update(id, { templates });
+  }
+
+  // similar artists never to tag for this producer, stored lowercased
+  getArtistBlocklist(id = DEFAULT_PROFILE_ID) {
+    return this.get(id)?.artistBlocklist || [];
+  }
+
+  setArtistBlocklist(id, artists) {
+    const names = (Array.isArray(artists) ? artists : [])
+      .map(name => String(name).trim().toLowerCase().slice(0, 100))
+      .filter(Boolean);
+    const artistBlocklist = [...new Set(names)].slice(0, MAX_BLOCKLIST_SIZE).sort();
+    return this.update(id, { artistBlocklist });
+  }
+
+  blockArtists(id, artists) {
+    return this.setArtistBlocklist(id, [...this.getArtistBlocklist(id), ...artists]);
+  }
+
+  unblockArtist(id, artist) {
+    const name = String(artist).trim().toLowerCase();
+    return this.setArtistBlocklist(id, this.getArtistBlocklist(id).filter(blocked => blocked !== name));
+  }
+
+  // strip server-side file paths before sending a profile to the client
+  toPublic(profile) {
+    const settings = {
+      playlistRules: this.normalizePlaylistRules(profile.playlistRules),
+      templates: this.getTemplates(profile.id),
+      artistBlocklist: this.getArtistBlocklist(profile.id)
+    };
+    if (!profile.voiceTag) return { ...profile, ...settings };
+    const { path: tagPath, ...voiceTag } = profile.voiceTag;
+    return { ...profile, voiceTag, ...settings };
+  }
+}
+
+ProfileStore.DEFAULT_ID = DEFAULT_PROFILE_ID;
+ProfileStore.DEFAULT_VOICE_TAG_SETTINGS = DEFAULT_VOICE_TAG_SETTINGS;
+ProfileStore.DEFAULT_PLAYLIST_RULES = DEFAULT_PLAYLIST_RULES;
+ProfileStore.PROFILE_FIELDS = PROFILE_FIELDS;
+ProfileStore.PlaylistRuleError = PlaylistRuleError;
+
+module.exports = ProfileStore;
@@ -0,0 +1,95 @@
+// Packs ranked tag candidates into YouTube's tag budget. YouTube counts ~500 characters
+// across all tags, with commas between them and quotes around any tag containing a space.
+
+const TAG_BUDGET = 500;
+const MAX_TAG_LENGTH = 100;
+
+// best first; candidates keep their generation order within a category
+const TAG_CATEGORY_RANK = ['artist', 'combo', 'similar', 'genre', 'generic'];
+
+// look-alike letters (mostly Cyrillic/Greek) that sneak in from copy-pasted tag lists
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+  'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+// words that don't make a tag different enough to spend budget on ("x type beat free" ~ "x type beat")
+const FILLER_WORDS = new Set(['free', 'x']);
+
+const cleanTag = (tag) => String(tag || '').replace(/[<>]/g, '').replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+
+const tagCost = (tag) => tag.length + (tag.includes(' ') ? 2 : 0);
+
+// total characters YouTube counts for a tag list
+const tagsLength = (tags) => tags.reduce((sum, tag) => sum + tagCost(tag), 0) + Math.max(tags.length - 1, 0);
+
+// two keys per tag: word order ignored, and spaces ignored ("liluzivert type beat" ~ "lil uzi vert type beat")
+function duplicateKeys(tag) {
+  const words = tag
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/./g, char => CONFUSABLES[char] || char)
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word));
+
+  return [`w:${[...words].sort().join(' ')}`, `c:${words.join('')}`];
+}
+
+// candidates: [{ tag, category }] -> { tags, used, budget, dropped: [{ tag, reason, duplicateOf }] }
+function selectTags(candidates, { budget = TAG_BUDGET } = {}) {
+  const rank = (category) => {
+    const index = TAG_CATEGORY_RANK.indexOf(category);
+    return index === -1 ? TAG_CATEGORY_RANK.length : index;
+  };
+  const ranked = candidates
+    .map((candidate, index) => ({ ...candidate, tag: cleanTag(candidate.tag), index }))
+    .filter(candidate => candidate.tag)
+    .sort((a, b) => rank(a.category) - rank(b.category) || a.index - b.index);
+
+  const seen = new Map();
+  const tags = [];
+  const dropped = [];
+  let used = 0;
+
+  for (const { tag } of ranked) {
+    const keys = duplicateKeys(tag);
+    const original = keys.map(key => seen.get(key)).find(Boolean);
+    if (original) {
+      if (original !== tag) dropped.push({ tag, reason: 'duplicate', duplicateOf: original });
+      continue;
+    }
+
+    const cost = tagCost(tag) + (tags.length > 0 ? 1 : 0);
+    if (tag.length > MAX_TAG_LENGTH || used + cost > budget) {
+      if (!dropped.some(item => item.tag === tag)) dropped.push({ tag, reason: 'budget', duplicateOf: null });
+      continue;
+    }
+    // only kept tags count as originals - a near-duplicate of one that didn't fit is judged on its own
+    keys.forEach(key => seen.set(key, tag));
+    tags.push(tag);
+    used += cost;
+  }
+
+  return { tags, used, budget, dropped };
+}
+
+// last guard before the API call: keeps the given order and drops whatever no longer fits
+function fitTags(tags, budget = TAG_BUDGET) {
+  const fitted = [];
+  for (const tag of tags.map(cleanTag).filter(Boolean)) {
+    if (tagsLength([...fitted, tag]) <= budget) fitted.push(tag);
+  }
+  return fitted;
+}
+
+module.exports = {
+  TAG_BUDGET,
+  TAG_CATEGORY_RANK,
+  selectTags,
+  fitTags,
+  cleanTag,
+  tagsLength
+};
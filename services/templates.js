@@ -0,0 +1,166 @@
+// Small mustache-style templates for video titles and descriptions:
+//   {{name}}                            the value, blank when missing (lists are joined with ", ")
+//   {{#if name}}...{{else}}...{{/if}}   shown when name has a value, else the optional other branch
+//   {{#unless name}}...{{/unless}}      shown when name is empty
+// A block tag alone on its line takes the line break with it, so sections don't leave blank lines.
+
+const TAG_PATTERN = /\{\{\s*([#/]?)(\w+)(?:\s+(\w+))?\s*\}\}/g;
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*(?:#\w+\s+\w+|\/\w+|else)\s*\}\})[ \t]*\r?\n/gm;
+const BLOCKS = ['if', 'unless'];
+
+const TEMPLATE_VARIABLES = {
+  title: 'Beat title',
+  bpm: 'Tempo (detected or entered)',
+  key: 'Musical key',
+  artists: 'Artists from the tags field',
+  similarArtists: 'Artists plus the similar ones found for them',
+  genre: 'Genre',
+  producerName: 'Producer name',
+  email: 'Contact email',
+  instagramLink: 'Instagram link',
+  tiktokLink: 'TikTok link',
+  twitterLink: 'X/Twitter link',
+  beatstarsLink: 'BeatStars link',
+  licensingText: 'Licensing terms from the producer profile',
+  seoTags: 'Comma separated keyword paragraph',
+  year: 'Current year'
+};
+
+// the layout generateMetadata used to hardcode; contact lines come from the form or the producer profile
+const CLASSIC_DESCRIPTION = `{{#if email}}
+mail - {{email}}
+{{/if}}
+{{#if instagramLink}}
+ig - {{instagramLink}}
+{{/if}}
+{{#if beatstarsLink}}
+download/purchase - {{beatstarsLink}}
+{{/if}}
+
+{{#if bpm}}{{bpm}}bpm{{else}}Not Found{{/if}}
+{{#if key}}{{key}}{{else}}Not Found{{/if}}
+
+{{#if licensingText}}{{licensingText}}{{else}}important: free for nonprofit only, purchase a lease by contacting me thru instagram/email{{/if}}
+
+{{seoTags}}`;
+
+const LINKS_DESCRIPTION = `{{title}}{{#if bpm}} | {{bpm}} BPM{{/if}}{{#if key}} | {{key}}{{/if}}
+
+━━━━━━━━━━━━━━━━━━━━━━
+{{#if beatstarsLink}}
+💰 Purchase (Untagged): {{beatstarsLink}}
+{{/if}}
+{{#if instagramLink}}
+📸 Follow me: {{instagramLink}}
+{{/if}}
+{{#if tiktokLink}}
+🎵 TikTok: {{tiktokLink}}
+{{/if}}
+{{#if twitterLink}}
+🐦 X: {{twitterLink}}
+{{/if}}
+{{#if licensingText}}
+
+{{licensingText}}
+{{/if}}
+
+━━━━━━━━━━━━━━━━━━━━━━
+🔥 More fire beats coming soon!
+🔔 Subscribe and turn on notifications
+💬 Leave a comment if you vibe with this beat
+
+#typebeat #beats #instrumental #music #producer
+
+{{seoTags}}`;
+
+const TEMPLATE_PRESETS = {
+  classic: { name: 'Classic', title: '{{title}}', description: CLASSIC_DESCRIPTION },
+  links: { name: 'Links block', title: '{{title}}', description: LINKS_DESCRIPTION }
+};
+
+const DEFAULT_TEMPLATES = { title: TEMPLATE_PRESETS.classic.title, description: TEMPLATE_PRESETS.classic.description };
+
+class TemplateError extends Error {}
+
+const hasValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false && String(value).trim() !== '';
+};
+
+const formatValue = (value) => {
+  if (!hasValue(value)) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+// -> tree of text / var / block nodes; throws TemplateError on unbalanced or unknown blocks
+function parseTemplate(template) {
+  const source = String(template ?? '').replace(STANDALONE_BLOCK_TAG, '$1');
+  const root = { type: 'root', children: [], otherwise: null };
+  const stack = [root];
+  const branch = (node) => node.otherwise || node.children;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    const [tag, marker, word, arg] = match;
+    if (match.index > lastIndex) branch(current).push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    lastIndex = match.index + tag.length;
+
+    if (marker === '#') {
+      if (!BLOCKS.includes(word) || !arg) throw new TemplateError(`Unknown block ${tag}`);
+      const node = { type: word, name: arg, children: [], otherwise: null };
+      branch(current).push(node);
+      stack.push(node);
+    } else if (marker === '/') {
+      if (current.type !== word) throw new TemplateError(`${tag} has no matching {{#${word}}}`);
+      stack.pop();
+    } else if (word === 'else' && !arg) {
+      if (current === root) throw new TemplateError('{{else}} outside of an {{#if}} block');
+      if (current.otherwise) throw new TemplateError(`{{#${current.type} ${current.name}}} has more than one {{else}}`);
+      current.otherwise = [];
+    } else if (arg) {
+      throw new TemplateError(`Unexpected ${tag}`);
+    } else {
+      branch(current).push({ type: 'var', name: word });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{{#${open.type} ${open.name}}} is never closed`);
+  }
+  if (lastIndex < source.length) root.children.push({ type: 'text', text: source.slice(lastIndex) });
+  return root;
+}
+
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'var') return formatValue(values[node.name]);
+
+    const show = node.type === 'if' ? hasValue(values[node.name]) : !hasValue(values[node.name]);
+    return renderNodes(show ? node.children : node.otherwise || [], values);
+  }).join('');
+}
+
+function renderTemplate(template, values = {}) {
+  return renderNodes(parseTemplate(template).children, values);
+}
+
+// names used in a template that aren't known variables, for a warning in the editor
+function findUnknownVariables(template) {
+  const names = [...String(template ?? '').matchAll(TAG_PATTERN)]
+    .map(([, marker, word, arg]) => (marker === '#' ? arg : marker === '/' || word === 'else' ? null : word))
+    .filter(Boolean);
+  return [...new Set(names)].filter(name => !(name in TEMPLATE_VARIABLES));
+}
+
+module.exports = {
+  renderTemplate,
+  parseTemplate,
+  findUnknownVariables,
+  TemplateError,
+  TEMPLATE_VARIABLES,
+  TEMPLATE_PRESETS,
+  DEFAULT_TEMPLATES
+};
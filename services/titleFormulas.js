@@ -0,0 +1,119 @@
+// Type-beat title formulas. Each formula is a list of parts with progressively shorter
+// variants; when a title runs past YouTube's limit the optional parts shrink in the
+// formula's shrink order (year, mood, extra artists, [FREE]...) before the name itself
+// gets cut at a word boundary.
+
+const MAX_TITLE_LENGTH = 100;
+
+const titleCase = (text) => text.replace(/(^|[\s-])(\w)/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+// YouTube rejects titles containing angle brackets
+const cleanTitle = (title) => String(title || '').replace(/[<>]/g, '').replace(/\s+/g, ' ').trim();
+
+function fitTitle(title, max = MAX_TITLE_LENGTH) {
+  const clean = cleanTitle(title);
+  if (clean.length <= max) return clean;
+
+  const cut = clean.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s\-|,(["]+$/, '')}…`;
+}
+
+// ['A', 'B', 'C'] -> ['A x B x C', 'A x B', 'A']
+const artistVariants = (artists, max) => {
+  const variants = [];
+  for (let count = Math.min(artists.length, max); count > 0; count--) {
+    variants.push(artists.slice(0, count).join(' x '));
+  }
+  return variants.length > 0 ? variants : [''];
+};
+
+const optional = (condition, text) => (condition ? [text, ''] : ['']);
+
+const TITLE_FORMULAS = [
+  {
+    id: 'free-collab',
+    name: '[FREE] Artist x Artist Type Beat - "Name"',
+    shrink: ['year', 'artists', 'free'],
+    parts: ({ free, artists, name, year }) => [
+      { key: 'free', variants: optional(free, '[FREE] ') },
+      { key: 'artists', variants: artistVariants(artists, 3) },
+      { key: 'type', variants: [' Type Beat'] },
+      { key: 'year', variants: optional(year, ` ${year}`) },
+      { key: 'name', variants: [` - "${name}"`] }
+    ]
+  },
+  {
+    id: 'year-first',
+    name: 'Artist Type Beat Year - "Name"',
+    shrink: ['artists', 'year'],
+    parts: ({ artists, name, year }) => [
+      { key: 'artists', variants: artistVariants(artists, 2) },
+      { key: 'type', variants: [' Type Beat'] },
+      { key: 'year', variants: optional(year, ` ${year}`) },
+      { key: 'name', variants: [` - "${name}"`] }
+    ]
+  },
+  {
+    id: 'detailed',
+    name: '[FREE] Artist Type Beat - "Name" | Mood Instrumental BPM',
+    shrink: ['bpm', 'mood', 'year', 'free', 'artists'],
+    parts: ({ free, artists, name, mood, bpm, year }) => [
+      { key: 'free', variants: optional(free, '[FREE] ') },
+      { key: 'artists', variants: artistVariants(artists, 2) },
+      { key: 'type', variants: [' Type Beat'] },
+      { key: 'year', variants: optional(year, ` ${year}`) },
+      { key: 'name', variants: [` - "${name}"`] },
+      { key: 'mood', variants: optional(mood, ` | ${mood} Instrumental`) },
+      { key: 'bpm', variants: optional(bpm, ` ${mood ? '' : '| '}${bpm} BPM`) }
+    ]
+  },
+  {
+    id: 'mood-first',
+    name: 'Mood Artist Type Beat - "Name" (Year)',
+    shrink: ['year', 'artists', 'mood'],
+    parts: ({ artists, name, mood, year }) => [
+      { key: 'mood', variants: optional(mood, `${mood} `) },
+      { key: 'artists', variants: artistVariants(artists, 2) },
+      { key: 'type', variants: [' Type Beat'] },
+      { key: 'name', variants: [` - "${name}"`] },
+      { key: 'year', variants: optional(year, ` (${year})`) }
+    ]
+  },
+  {
+    id: 'name-first',
+    name: '"Name" - Artist x Artist Type Beat',
+    shrink: ['year', 'artists'],
+    parts: ({ artists, name, year }) => [
+      { key: 'name', variants: [`"${name}" - `] },
+      { key: 'artists', variants: artistVariants(artists, 3) },
+      { key: 'type', variants: [' Type Beat'] },
+      { key: 'year', variants: optional(year, ` ${year}`) }
+    ]
+  }
+];
+
+// renders one formula, stepping parts down to shorter variants until the title fits
+function buildTitle(formula, values, max = MAX_TITLE_LENGTH) {
+  const parts = formula.parts(values);
+  const level = Object.fromEntries(parts.map(part => [part.key, 0]));
+  const render = () => cleanTitle(parts.map(part => part.variants[level[part.key]]).join(''));
+
+  let title = render();
+  for (const key of formula.shrink) {
+    const part = parts.find(item => item.key === key);
+    while (title.length > max && part && level[key] < part.variants.length - 1) {
+      level[key]++;
+      title = render();
+    }
+  }
+  return fitTitle(title, max);
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  TITLE_FORMULAS,
+  buildTitle,
+  fitTitle,
+  titleCase
+};
@@ -2,35 +2,180 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs').promises;
+const { spawn } = require('child_process');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// fluent-ffmpeg only fills in progress.percent when ffprobe is around, which ffmpeg-static doesn't ship,
+// so fall back to the timemark against the known audio duration
+const getProgressPercent = (progress, duration) => {
+  if (progress.percent && !isNaN(progress.percent)) return Math.min(progress.percent, 100);
+  if (!duration || !progress.timemark) return null;
+
+  const [hours, minutes, seconds] = progress.timemark.split(':').map(Number);
+  const elapsed = hours * 3600 + minutes * 60 + seconds;
+  return isNaN(elapsed) ? null : Math.min((elapsed / duration) * 100, 100);
+};
+
+const VISUALIZERS = ['waveform', 'spectrum', 'pulse'];
+
+const DEFAULT_VISUALIZER_OPTIONS = {
+  color: '#ffffff',
+  position: 'bottom', // top | center | bottom (waveform/spectrum only)
+  fps: 30,
+  height: 200, // px of the waveform/spectrum strip
+  pulseDepth: 0.08 // how far the cover grows on peaks (0.08 = 8%)
+};
+
+const FONTS_DIR = path.join(__dirname, '..', 'public', 'fonts', 'abeatbykai');
+const TEXT_FONTS = {
+  abeatbykai: path.join(FONTS_DIR, 'ABEAKRG.TTF'),
+  'abeatbykai-otf': path.join(FONTS_DIR, 'abeatbyKaiRegular.otf')
+};
+
+const TEXT_MARGIN = 60;
+
+const DEFAULT_TEXT_OVERLAY = {
+  lines: [],
+  position: 'bottom-left', // top|center|bottom + -left|-center|-right, or just 'center'
+  font: 'abeatbykai',
+  size: 56,
+  color: '#ffffff',
+  shadow: true,
+  fadeIn: 1, // seconds, 0 to show immediately
+  fadeInStart: 0.5, // seconds before the first line starts fading in
+  lineStagger: 0.3 // extra delay per line
+};
+
+// still renders normally run at 1fps; a fade needs a few more frames to look smooth
+const STILL_FPS = 1;
+const STILL_FADE_FPS = 10;
+
+// YouTube treats vertical uploads up to 60s as Shorts
+const SHORT_MIN_SECONDS = 15;
+const SHORT_MAX_SECONDS = 60;
+const SHORT_DEFAULT_SECONDS = 30;
+
+// YouTube thumbnails: 1280x720, under 2MB
+const THUMBNAIL_WIDTH = 1280;
+const THUMBNAIL_HEIGHT = 720;
+
+// dry-run previews: a short clip rendered at this width
+const PREVIEW_SECONDS = 10;
+const PREVIEW_WIDTH = 640;
+
+// last step of a render's video filter chain when it's rendered below 1080p (previews)
+const outputScale = (width) => (width ? `scale=${width}:-2` : null);
+
+// AAC bitrates and sample rates a render can be encoded at; the default null sample rate keeps the source's
+const AUDIO_BITRATES = ['128k', '192k', '256k', '320k'];
+const AUDIO_SAMPLE_RATES = [44100, 48000];
+const DEFAULT_AUDIO_OPTIONS = { bitrate: '192k', sampleRate: null };
+
+// EBU R128 targets - YouTube plays back at roughly -14 LUFS
+const DEFAULT_LOUDNESS = { target: -14, truePeak: -1, range: 11 };
+
+const audioOutputOptions = ({ bitrate, sampleRate } = DEFAULT_AUDIO_OPTIONS) => [
+  `-b:a ${bitrate}`,
+  ...(sampleRate ? [`-ar ${sampleRate}`] : [])
+];
+
+// loudnorm prints its stats as a JSON block at the end of stderr
+const parseLoudnormStats = (stderr) => {
+  const blocks = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) return null;
+  const stats = JSON.parse(blocks[blocks.length - 1]);
+  return Object.fromEntries(Object.entries(stats).map(([field, value]) => [field, isNaN(parseFloat(value)) ? value : parseFloat(value)]));
+};
+
+// colors end up inside the filter graph, so only allow hex or plain color names
+const sanitizeColor = (color) => {
+  if (/^#?[0-9a-f]{6}$/i.test(color || '')) return `0x${color.replace('#', '')}`;
+  if (/^[a-z]+$/i.test(color || '')) return color;
+  return '0xffffff';
+};
+
 class VideoGenerator {
-  async generateVideo({ audioPath, imagePath, outputDir, sessionId, backgroundStyle = 'blurred' }) {
-    // No temp files needed anymore - single-pass processing!
+  // backgroundStyle is '<base>' or '<base>-<visualizer>', e.g. 'blurred', 'black-waveform', 'blurred-pulse'
+  parseBackgroundStyle(backgroundStyle = 'blurred') {
+    const [base, visualizer] = String(backgroundStyle || 'blurred').split('-');
+    return {
+      base: base === 'black' ? 'black' : 'blurred',
+      visualizer: VISUALIZERS.includes(visualizer) ? visualizer : null
+    };
+  }
+
+  // outputWidth scales the finished frame down in the same pass (the layout itself is always 1080p);
+  // length caps the output with -t, so a looped still can't run past a short clip's audio
+  async generateVideo({ audioPath, imagePath, outputDir, sessionId, backgroundStyle = 'blurred', visualizerOptions = {}, textOverlay = null, audioOptions = {}, outputWidth = null, length = null, onProgress = null }) {
+    // Temp files: the pulse visualizer's sendcmd script and drawtext text files
     const tempFiles = [];
     
     try {
       const outputPath = path.join(outputDir, `video-${sessionId}.mp4`);
+      const duration = await this.getMediaDuration(audioPath);
+      const { base, visualizer } = this.parseBackgroundStyle(backgroundStyle);
+      const text = await this.buildTextFilter({ textOverlay, outputDir, sessionId, tempFiles });
+      const audioOutput = audioOutputOptions(this.normalizeAudioOptions(audioOptions));
+
+      if (visualizer) {
+        const options = { ...DEFAULT_VISUALIZER_OPTIONS, ...visualizerOptions };
+        options.fps = Math.min(Math.max(parseInt(options.fps, 10) || DEFAULT_VISUALIZER_OPTIONS.fps, 10), 60);
+
+        let pulseCommandsPath = null;
+        if (visualizer === 'pulse') {
+          pulseCommandsPath = path.join(outputDir, `pulse-${sessionId}.txt`);
+          tempFiles.push(pulseCommandsPath);
+          await this.writePulseCommands({ audioPath, commandsPath: pulseCommandsPath, fps: options.fps, depth: options.pulseDepth });
+        }
 
-      if (backgroundStyle === 'black') {
+        await this.createVideoWithVisualizer({
+          imagePath,
+          audioPath,
+          outputPath,
+          base,
+          visualizer,
+          options,
+          pulseCommandsPath,
+          textFilter: text.filter,
+          audioOutput,
+          outputWidth,
+          length,
+          duration,
+          onProgress
+        });
+      } else if (base === 'black') {
         // Direct approach - single FFmpeg command combining everything
         await this.createVideoWithBlackBackground({
           originalImagePath: imagePath,
           audioPath,
-          outputPath
+          outputPath,
+          textFilter: text.filter,
+          frameRate: text.animated ? STILL_FADE_FPS : STILL_FPS,
+          audioOutput,
+          outputWidth,
+          length,
+          duration,
+          onProgress
         });
       } else {
         // Combined approach - create video with blurred background in one step
         await this.createVideoWithBlurredBackground({
           imagePath,
           audioPath,
-          outputPath
+          outputPath,
+          textFilter: text.filter,
+          frameRate: text.animated ? STILL_FADE_FPS : STILL_FPS,
+          audioOutput,
+          outputWidth,
+          length,
+          duration,
+          onProgress
         });
       }
 
       console.log('Video generation completed');
-      // Return video path and empty tempFiles array (for backwards compatibility)
+      // Return video path and any temp files (pulse script) for the caller to clean up
       // The server.js will handle cleanup of the final video after upload
       return { videoPath: outputPath, tempFiles };
     } catch (err) {
@@ -39,8 +184,364 @@ class VideoGenerator {
     }
   }
 
+  // 1080x1920 clip of one section of the beat for Shorts/TikTok/Reels.
+  // start=null picks the loudest window so the clip lands on the drop.
+  async generateShort({ audioPath, imagePath, outputDir, sessionId, backgroundStyle = 'blurred', start = null, length = SHORT_DEFAULT_SECONDS, textOverlay = null, audioOptions = {}, onProgress = null }) {
+    const tempFiles = [];
+
+    try {
+      const outputPath = path.join(outputDir, `short-${sessionId}.mp4`);
+      const audioDuration = await this.getMediaDuration(audioPath);
+      const { base } = this.parseBackgroundStyle(backgroundStyle);
+
+      let clipLength = Math.min(Math.max(parseFloat(length) || SHORT_DEFAULT_SECONDS, SHORT_MIN_SECONDS), SHORT_MAX_SECONDS);
+      if (audioDuration) clipLength = Math.min(clipLength, audioDuration);
+
+      let clipStart = start !== null && start !== undefined && start !== '' ? parseFloat(start) : NaN;
+      if (isNaN(clipStart)) {
+        clipStart = await this.findLoudestWindow(audioPath, clipLength);
+        console.log(`Auto-selected short section at ${clipStart}s`);
+      }
+      if (audioDuration) clipStart = Math.min(Math.max(clipStart, 0), Math.max(audioDuration - clipLength, 0));
+
+      const text = await this.buildTextFilter({ textOverlay, outputDir, sessionId: `${sessionId}-short`, tempFiles });
+
+      await this.createShortVideo({
+        imagePath,
+        audioPath,
+        outputPath,
+        base,
+        start: clipStart,
+        length: clipLength,
+        textFilter: text.filter,
+        frameRate: text.animated ? STILL_FADE_FPS : STILL_FPS,
+        audioOutput: audioOutputOptions(this.normalizeAudioOptions(audioOptions)),
+        onProgress
+      });
+
+      console.log('Short generation completed');
+      return { shortPath: outputPath, start: clipStart, length: clipLength, tempFiles };
+    } catch (err) {
+      console.error('Short generation error:', err);
+      throw err;
+    }
+  }
+
+  // The window of the beat a preview covers, as a wav, so the voice tag and loudness passes only
+  // have to process those seconds. Returns where the clip really starts and how long it is.
+  async cutAudioClip({ audioPath, outputDir, sessionId, start = 0, length = PREVIEW_SECONDS }) {
+    const duration = await this.getMediaDuration(audioPath);
+    const clipLength = duration ? Math.min(length, duration) : length;
+    let clipStart = Math.max(parseFloat(start) || 0, 0);
+    if (duration) clipStart = Math.min(clipStart, Math.max(duration - clipLength, 0));
+
+    const clipPath = path.join(outputDir, `preview-audio-${sessionId}.wav`);
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(audioPath)
+        .inputOptions([`-ss ${clipStart}`, `-t ${clipLength}`])
+        .outputOptions(['-vn', '-c:a pcm_s16le'])
+        .output(clipPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    return { clipPath, start: clipStart, length: clipLength };
+  }
+
+  // Low-res render of a clip from cutAudioClip, for checking layout and text before committing to the
+  // real thing. It goes through generateVideo unchanged (same layouts, visualizers, text), rendered
+  // straight at PREVIEW_WIDTH.
+  async generatePreview({ audioPath, imagePath, outputDir, sessionId, length, ...videoOptions }) {
+    const render = await this.generateVideo({ ...videoOptions, audioPath, imagePath, outputDir, sessionId, outputWidth: PREVIEW_WIDTH, length });
+    for (const file of render.tempFiles) {
+      await fs.unlink(file).catch(() => {});
+    }
+
+    console.log('Preview generation completed');
+    return { videoPath: render.videoPath };
+  }
+
+  // Portrait version of the blurred/black layouts, with a short fade on the cut audio
+  createShortVideo({ imagePath, audioPath, outputPath, base, start, length, textFilter = null, frameRate = STILL_FPS, audioOutput = audioOutputOptions(), onProgress = null }) {
+    return new Promise((resolve, reject) => {
+      const filters = base === 'black'
+        ? [['[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:black', textFilter].filter(Boolean).join(',') + '[v]']
+        : [
+          '[0:v]split=2[bg][fg]',
+          '[bg]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,gblur=sigma=20[blurred]',
+          '[fg]scale=972:972:force_original_aspect_ratio=decrease[scaled]',
+          ['[blurred][scaled]overlay=(W-w)/2:(H-h)/2', textFilter].filter(Boolean).join(',') + '[v]'
+        ];
+      const fadeOut = Math.max(length - 1, 0);
+      filters.push(`[1:a]afade=t=in:d=0.3,afade=t=out:st=${fadeOut}:d=1[a]`);
+
+      ffmpeg()
+        .input(imagePath)
+        .inputOptions(['-loop 1'])
+        .input(audioPath)
+        .inputOptions([`-ss ${start}`, `-t ${length}`])
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions([
+          '-filter_complex', filters.join(';'),
+          '-map [v]',
+          '-map [a]',
+          '-tune stillimage',
+          '-pix_fmt yuv420p',
+          `-t ${length}`, // -shortest alone doesn't stop when both streams come out of the filter graph
+          `-r ${frameRate}`,
+          ...audioOutput,
+          '-preset ultrafast',
+          '-threads 2',
+          '-bufsize 512k',
+          '-maxrate 2M'
+        ])
+        .output(outputPath)
+        .on('start', cmd => console.log('FFmpeg short command:', cmd))
+        .on('progress', (progress) => {
+          const percent = getProgressPercent(progress, length);
+          if (percent !== null && onProgress) onProgress(percent);
+        })
+        .on('end', () => {
+          console.log('Short completed');
+          resolve();
+        })
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  // Start (in whole seconds) of the highest-energy window of the given length
+  async findLoudestWindow(audioPath, windowSeconds) {
+    const sampleRate = 8000;
+    const pcm = await this.decodeAudioPcm(audioPath, sampleRate);
+    const seconds = Math.floor(pcm.length / sampleRate);
+    const window = Math.floor(windowSeconds);
+    if (seconds <= window) return 0;
+
+    const energy = [];
+    for (let second = 0; second < seconds; second++) {
+      let sum = 0;
+      for (let i = second * sampleRate; i < (second + 1) * sampleRate; i++) {
+        sum += pcm[i] * pcm[i];
+      }
+      energy.push(sum);
+    }
+
+    let windowEnergy = energy.slice(0, window).reduce((a, b) => a + b, 0);
+    let best = { start: 0, energy: windowEnergy };
+    for (let start = 1; start + window <= seconds; start++) {
+      windowEnergy += energy[start + window - 1] - energy[start - 1];
+      if (windowEnergy > best.energy) best = { start, energy: windowEnergy };
+    }
+    return best.start;
+  }
+
+  // Lays the producer tag over the beat at start, start+interval, ... and ducks the beat under each one.
+  // Writes a separate wav for the renders so the uploaded (purchasable) beat file is never touched.
+  // offset is where audioPath begins within the beat (preview clips), so tags land where the full render
+  // has them; a tag already running at the cut is left out.
+  async mixVoiceTag({ audioPath, tagPath, outputDir, sessionId, start = 0, interval = 30, gain = 0, duck = 6, offset = 0 }) {
+    const outputPath = path.join(outputDir, `tagged-${sessionId}.wav`);
+    const sampleRate = 44100;
+    const duration = await this.getMediaDuration(audioPath);
+    const tagLength = await this.getMediaDuration(tagPath);
+    if (!tagLength) throw new Error('Could not read the voice tag audio');
+
+    // a tag longer than the interval would overlap itself
+    const spacing = Math.max(interval, Math.ceil(tagLength) + 1);
+    if (offset > start) start = (spacing - ((offset - start) % spacing)) % spacing;
+    else start -= offset;
+    const padSamples = Math.round((spacing - tagLength) * sampleRate);
+    const delayMs = Math.round(start * 1000);
+
+    // 1 outside tags, down to the duck level inside them, with a short ramp either side
+    const duckLevel = Math.pow(10, -duck / 20);
+    const ramp = 0.15;
+    const sinceTag = `mod(t-${start},${spacing})`;
+    const envelope = `1-${(1 - duckLevel).toFixed(4)}*gte(t,${start})*clip(min(${sinceTag}/${ramp},(${tagLength}-${sinceTag})/${ramp}),0,1)`;
+
+    const format = `aformat=sample_fmts=fltp:sample_rates=${sampleRate}:channel_layouts=stereo`;
+    const filters = [
+      `[0:a]${format},volume='${envelope}':eval=frame[beat]`,
+      [
+        `[1:a]${format}`,
+        `volume=${gain}dB`,
+        `apad=pad_len=${padSamples}`,
+        `aloop=loop=-1:size=${Math.round(spacing * sampleRate)}`,
+        `adelay=${delayMs}|${delayMs}`,
+        duration ? `atrim=end=${duration}` : null
+      ].filter(Boolean).join(',') + '[tag]',
+      // amerge + pan sums the two exactly (amix would halve both)
+      '[beat][tag]amerge=inputs=2,pan=stereo|c0=c0+c2|c1=c1+c3,alimiter=limit=0.95:level=0[a]'
+    ];
+
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(audioPath)
+        .input(tagPath)
+        .audioCodec('pcm_s16le')
+        .outputOptions([
+          '-filter_complex', filters.join(';'),
+          '-map [a]'
+        ])
+        .output(outputPath)
+        .on('start', cmd => console.log('FFmpeg voice tag command:', cmd))
+        .on('end', () => {
+          console.log(`Voice tag mixed every ${spacing}s from ${start}s`);
+          resolve();
+        })
+        .on('error', reject)
+        .run();
+    });
+
+    return outputPath;
+  }
+
+  // Clamps user-supplied encode settings to the supported bitrates/sample rates
+  normalizeAudioOptions({ bitrate, sampleRate } = {}) {
+    const rate = parseInt(sampleRate, 10);
+    return {
+      bitrate: AUDIO_BITRATES.includes(bitrate) ? bitrate : DEFAULT_AUDIO_OPTIONS.bitrate,
+      sampleRate: AUDIO_SAMPLE_RATES.includes(rate) ? rate : DEFAULT_AUDIO_OPTIONS.sampleRate
+    };
+  }
+
+  // First loudnorm pass: integrated loudness (LUFS), true peak, range and threshold of the file
+  measureLoudness(audioPath, { target, truePeak, range } = DEFAULT_LOUDNESS) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(ffmpegPath, [
+        '-hide_banner', '-nostats', '-i', audioPath,
+        '-af', `loudnorm=I=${target}:TP=${truePeak}:LRA=${range}:print_format=json`,
+        '-f', 'null', '-'
+      ]);
+      let stderr = '';
+
+      proc.stderr.on('data', data => { stderr += data.toString(); });
+      proc.on('close', (code) => {
+        const stats = code === 0 ? parseLoudnormStats(stderr) : null;
+        if (!stats) {
+          reject(new Error('Loudness measurement failed'));
+          return;
+        }
+        resolve(stats);
+      });
+      proc.on('error', reject);
+    });
+  }
+
+  // Two-pass EBU R128 normalization to the target LUFS with a true-peak ceiling.
+  // The second pass runs linear with the first pass's measurements so the beat's dynamics stay intact.
+  async normalizeLoudness({ audioPath, outputDir, sessionId, target = DEFAULT_LOUDNESS.target, truePeak = DEFAULT_LOUDNESS.truePeak, sampleRate = null }) {
+    const numberOr = (value, fallback) => (isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+    const targets = {
+      target: Math.min(Math.max(numberOr(target, DEFAULT_LOUDNESS.target), -70), -5),
+      truePeak: Math.min(Math.max(numberOr(truePeak, DEFAULT_LOUDNESS.truePeak), -9), 0),
+      range: DEFAULT_LOUDNESS.range
+    };
+    const measured = await this.measureLoudness(audioPath, targets);
+
+    // silence measures as -inf and there's nothing to normalize
+    if (!isFinite(measured.input_i)) {
+      return { audioPath, loudness: { target: targets.target, inputLufs: null, outputLufs: null, truePeak: null, mode: null } };
+    }
+
+    const outputPath = path.join(outputDir, `loudnorm-${sessionId}.wav`);
+    const filter = [
+      `loudnorm=I=${targets.target}:TP=${targets.truePeak}:LRA=${targets.range}`,
+      `measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}:linear=true:print_format=json`
+    ].join(':');
+
+    // loudnorm upsamples to 192kHz internally, so the output rate has to be set explicitly
+    const outputRate = sampleRate || await this.getSampleRate(audioPath) || 48000;
+    const output = await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(audioPath)
+        .audioFilters(filter)
+        .audioCodec('pcm_s16le')
+        .audioFrequency(outputRate)
+        .output(outputPath)
+        .on('start', cmd => console.log('FFmpeg loudnorm command:', cmd))
+        .on('end', (stdout, stderr) => resolve(parseLoudnormStats(stderr || '')))
+        .on('error', reject)
+        .run();
+    });
+
+    const loudness = {
+      target: targets.target,
+      inputLufs: measured.input_i,
+      outputLufs: output ? output.output_i : null,
+      truePeak: output ? output.output_tp : null,
+      // loudnorm drops to dynamic mode when linear gain would break the true-peak ceiling
+      mode: output ? output.normalization_type : null
+    };
+    console.log(`Loudness normalized: ${loudness.inputLufs} LUFS -> ${loudness.outputLufs} LUFS (TP ${loudness.truePeak} dBTP)`);
+    return { audioPath: outputPath, loudness };
+  }
+
+  // 1280x720 JPEG in the same blurred/black layout as the video, with optional title/artist text.
+  // Pass customImagePath to use the producer's own artwork instead (it only gets fitted to 16:9).
+  async generateThumbnail({ imagePath, customImagePath = null, outputDir, sessionId, backgroundStyle = 'blurred', textOverlay = null }) {
+    const tempFiles = [];
+    const outputPath = path.join(outputDir, `thumbnail-${sessionId}.jpg`);
+    const w = THUMBNAIL_WIDTH;
+    const h = THUMBNAIL_HEIGHT;
+
+    try {
+      let filter;
+      if (customImagePath) {
+        filter = `[0:v]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}[v]`;
+      } else {
+        const { base } = this.parseBackgroundStyle(backgroundStyle);
+        // a single frame has no timeline, so a fade-in would leave the text invisible
+        const text = await this.buildTextFilter({
+          textOverlay: textOverlay && { ...textOverlay, fadeIn: 0 },
+          outputDir,
+          sessionId: `thumb-${sessionId}`,
+          tempFiles
+        });
+        const layout = base === 'black'
+          ? [`[0:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black`]
+          : [
+              '[0:v]split=2[bg][fg]',
+              `[bg]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},gblur=sigma=14[blurred]`,
+              `[fg]scale=${w}:${h}:force_original_aspect_ratio=decrease[scaled]`,
+              '[blurred][scaled]overlay=(W-w)/2:(H-h)/2'
+            ];
+        filter = layout.join(';') + (text.filter ? `,${text.filter}` : '') + '[v]';
+      }
+
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(customImagePath || imagePath)
+          .outputOptions([
+            '-filter_complex', filter,
+            '-map', '[v]',
+            '-frames:v', '1',
+            '-q:v', '3'
+          ])
+          .output(outputPath)
+          .on('start', cmd => console.log('FFmpeg thumbnail command:', cmd))
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+
+      console.log('Thumbnail generation completed');
+      return outputPath;
+    } finally {
+      for (const file of tempFiles) {
+        await fs.unlink(file).catch(() => {});
+      }
+    }
+  }
+
   // Combined single-pass video generation with black background
-  createVideoWithBlackBackground({ originalImagePath, audioPath, outputPath }) {
+  createVideoWithBlackBackground({ originalImagePath, audioPath, outputPath, textFilter = null, frameRate = STILL_FPS, audioOutput = audioOutputOptions(), outputWidth = null, length = null, duration = null, onProgress = null }) {
     return new Promise((resolve, reject) => {
       ffmpeg()
         .input(originalImagePath)
@@ -49,12 +550,13 @@ class VideoGenerator {
         .videoCodec('libx264')
         .audioCodec('aac')
         .outputOptions([
-          '-vf', 'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black',
+          '-vf', ['scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black', textFilter, outputScale(outputWidth)].filter(Boolean).join(','),
           '-tune stillimage',
           '-pix_fmt yuv420p',
           '-shortest',
-          '-r 1',
-          '-b:a 192k',
+          ...(length ? [`-t ${length}`] : []),
+          `-r ${frameRate}`,
+          ...audioOutput,
           '-preset ultrafast', // Faster encoding, less memory
           '-threads 2', // Limit threads to reduce memory
           '-bufsize 512k', // Limit buffer size
@@ -63,8 +565,10 @@ class VideoGenerator {
         .output(outputPath)
         .on('start', cmd => console.log('FFmpeg command:', cmd))
         .on('progress', (progress) => {
-          if (progress.percent && !isNaN(progress.percent)) {
-            console.log(`Video: ${Math.round(progress.percent)}% done`);
+          const percent = getProgressPercent(progress, duration);
+          if (percent !== null) {
+            console.log(`Video: ${Math.round(percent)}% done`);
+            if (onProgress) onProgress(percent);
           }
         })
         .on('end', () => {
@@ -77,18 +581,19 @@ class VideoGenerator {
   }
 
   // Combined single-pass video generation with blurred background
-  createVideoWithBlurredBackground({ imagePath, audioPath, outputPath }) {
+  createVideoWithBlurredBackground({ imagePath, audioPath, outputPath, textFilter = null, frameRate = STILL_FPS, audioOutput = audioOutputOptions(), outputWidth = null, length = null, duration = null, onProgress = null }) {
     return new Promise((resolve, reject) => {
       // Complex filter that does everything in one pass:
       // 1. Split input into 2 streams
       // 2. First stream: scale, crop, and blur for background
       // 3. Second stream: scale to fit in center (70% of canvas)
       // 4. Overlay the scaled original on top of blurred background
+      // 5. Draw any text overlay on the result
       const filterComplex = [
         '[0:v]split=2[bg][fg]',
         '[bg]scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,gblur=sigma=20[blurred]',
         '[fg]scale=1344:756:force_original_aspect_ratio=decrease[scaled]',
-        '[blurred][scaled]overlay=(W-w)/2:(H-h)/2'
+        ['[blurred][scaled]overlay=(W-w)/2:(H-h)/2', textFilter, outputScale(outputWidth)].filter(Boolean).join(',')
       ].join(';');
 
       ffmpeg()
@@ -102,8 +607,9 @@ class VideoGenerator {
           '-tune stillimage',
           '-pix_fmt yuv420p',
           '-shortest',
-          '-r 1',
-          '-b:a 192k',
+          ...(length ? [`-t ${length}`] : []),
+          `-r ${frameRate}`,
+          ...audioOutput,
           '-preset ultrafast', // Faster encoding, less memory
           '-threads 2', // Limit threads
           '-bufsize 512k', // Limit buffer
@@ -112,8 +618,81 @@ class VideoGenerator {
         .output(outputPath)
         .on('start', cmd => console.log('FFmpeg command:', cmd))
         .on('progress', (progress) => {
-          if (progress.percent && !isNaN(progress.percent)) {
-            console.log(`Video: ${Math.round(progress.percent)}% done`);
+          const percent = getProgressPercent(progress, duration);
+          if (percent !== null) {
+            console.log(`Video: ${Math.round(percent)}% done`);
+            if (onProgress) onProgress(percent);
+          }
+        })
+        .on('end', () => {
+          console.log('Video completed');
+          resolve();
+        })
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  // Animated render: blurred/black still as the base layer with an audio-driven layer on top
+  createVideoWithVisualizer({ imagePath, audioPath, outputPath, base, visualizer, options, pulseCommandsPath = null, textFilter = null, audioOutput = audioOutputOptions(), outputWidth = null, length = null, duration = null, onProgress = null }) {
+    return new Promise((resolve, reject) => {
+      const { fps, height } = options;
+      const color = sanitizeColor(options.color);
+      const stripY = { top: '40', center: '(H-h)/2', bottom: 'H-h-40' }[options.position] || 'H-h-40';
+
+      // the pulse scales the centered cover, so it needs it as a separate layer on both bases
+      const fgScale = pulseCommandsPath
+        ? `sendcmd=f='${pulseCommandsPath}',scale@pulse=1344:756:force_original_aspect_ratio=decrease`
+        : 'scale=1344:756:force_original_aspect_ratio=decrease';
+
+      const filters = base === 'black' && visualizer !== 'pulse'
+        ? ['[0:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black[base]']
+        : [
+          '[0:v]split=2[bg][fg]',
+          base === 'black'
+            ? '[bg]scale=1920:1080,drawbox=c=black:t=fill[backdrop]'
+            : '[bg]scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,gblur=sigma=20[backdrop]',
+          `[fg]${fgScale}[scaled]`,
+          '[backdrop][scaled]overlay=(W-w)/2:(H-h)/2[base]'
+        ];
+
+      if (visualizer === 'waveform') {
+        filters.push(`[1:a]showwaves=s=1920x${height}:mode=cline:rate=${fps}:colors=${color}[viz]`);
+      } else if (visualizer === 'spectrum') {
+        filters.push(`[1:a]showfreqs=s=1920x${height}:mode=bar:fscale=log:ascale=sqrt:colors=${color},fps=${fps}[viz]`);
+      }
+
+      const textAndFormat = [textFilter, outputScale(outputWidth), 'format=yuv420p'].filter(Boolean).join(',');
+      filters.push(visualizer === 'pulse'
+        ? `[base]${textAndFormat}[v]`
+        : `[base][viz]overlay=0:${stripY}:shortest=1,${textAndFormat}[v]`);
+
+      ffmpeg()
+        .input(imagePath)
+        .inputOptions(['-loop 1', `-framerate ${fps}`])
+        .input(audioPath)
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions([
+          '-filter_complex', filters.join(';'),
+          '-map [v]',
+          '-map 1:a',
+          '-shortest',
+          ...(length ? [`-t ${length}`] : []),
+          `-r ${fps}`,
+          ...audioOutput,
+          '-preset ultrafast', // Faster encoding, less memory
+          '-threads 2', // Limit threads
+          '-bufsize 8M', // Moving frames need more headroom than a still
+          '-maxrate 4M'
+        ])
+        .output(outputPath)
+        .on('start', cmd => console.log('FFmpeg command:', cmd))
+        .on('progress', (progress) => {
+          const percent = getProgressPercent(progress, duration);
+          if (percent !== null) {
+            console.log(`Video: ${Math.round(percent)}% done`);
+            if (onProgress) onProgress(percent);
           }
         })
         .on('end', () => {
@@ -125,6 +704,163 @@ class VideoGenerator {
     });
   }
 
+  // Turns a text-overlay spec into a drawtext chain. Each line's text goes through a textfile
+  // (with expansion off) so titles with quotes, colons or % need no filter-graph escaping.
+  async buildTextFilter({ textOverlay, outputDir, sessionId, tempFiles }) {
+    const spec = { ...DEFAULT_TEXT_OVERLAY, ...(textOverlay || {}) };
+    const lines = (spec.lines || [])
+      .map(line => (typeof line === 'string' ? { text: line } : line))
+      .filter(line => line && String(line.text || '').trim());
+
+    if (lines.length === 0) return { filter: null, animated: false };
+
+    const [vertical, horizontal = 'center'] = spec.position === 'center' ? ['center'] : spec.position.split('-');
+    const sizes = lines.map(line => parseInt(line.size, 10) || parseInt(spec.size, 10) || DEFAULT_TEXT_OVERLAY.size);
+    const lineHeights = sizes.map(size => Math.round(size * 1.3));
+    const blockHeight = lineHeights.reduce((sum, height) => sum + height, 0);
+
+    const blockTop = {
+      top: `${TEXT_MARGIN}`,
+      center: `(h-${blockHeight})/2`,
+      bottom: `h-${TEXT_MARGIN + blockHeight}`
+    }[vertical] || `h-${TEXT_MARGIN + blockHeight}`;
+    const x = {
+      left: `${TEXT_MARGIN}`,
+      center: '(w-text_w)/2',
+      right: `w-text_w-${TEXT_MARGIN}`
+    }[horizontal] || `${TEXT_MARGIN}`;
+
+    const fadeIn = Math.max(parseFloat(spec.fadeIn) || 0, 0);
+    const filters = [];
+    let offset = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const textPath = path.join(outputDir, `text-${sessionId}-${i}.txt`);
+      await fs.writeFile(textPath, String(line.text).trim());
+      tempFiles.push(textPath);
+
+      const fontFile = TEXT_FONTS[line.font] || TEXT_FONTS[spec.font] || TEXT_FONTS[DEFAULT_TEXT_OVERLAY.font];
+      const options = [
+        `fontfile='${fontFile}'`,
+        `textfile='${textPath}'`,
+        'expansion=none',
+        `fontsize=${sizes[i]}`,
+        `fontcolor=${sanitizeColor(line.color || spec.color)}`,
+        `x=${x}`,
+        `y=${blockTop}+${offset}`
+      ];
+
+      if (spec.shadow) {
+        options.push('shadowcolor=black@0.6', `shadowx=${Math.max(Math.round(sizes[i] / 20), 2)}`, `shadowy=${Math.max(Math.round(sizes[i] / 20), 2)}`);
+      }
+
+      if (fadeIn > 0) {
+        const start = (parseFloat(spec.fadeInStart) || 0) + i * (parseFloat(spec.lineStagger) || 0);
+        options.push(`alpha='if(lt(t,${start}),0,if(lt(t,${start + fadeIn}),(t-${start})/${fadeIn},1))'`);
+      }
+
+      filters.push(`drawtext=${options.join(':')}`);
+      offset += lineHeights[i];
+    }
+
+    return { filter: filters.join(','), animated: fadeIn > 0 };
+  }
+
+  // Builds a sendcmd script that resizes the cover each frame from the audio's RMS envelope
+  async writePulseCommands({ audioPath, commandsPath, fps, depth }) {
+    const sampleRate = 8000;
+    const pcm = await this.decodeAudioPcm(audioPath, sampleRate);
+    const samplesPerFrame = Math.floor(sampleRate / fps);
+    const frameCount = Math.floor(pcm.length / samplesPerFrame);
+
+    const levels = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let i = frame * samplesPerFrame; i < (frame + 1) * samplesPerFrame; i++) {
+        sum += pcm[i] * pcm[i];
+      }
+      levels.push(Math.sqrt(sum / samplesPerFrame));
+    }
+
+    // fast attack, slow release so the cover kicks on hits and eases back
+    const peak = levels.reduce((max, level) => Math.max(max, level), 1);
+    const release = Math.pow(0.5, 1 / (fps * 0.15));
+    let envelope = 0;
+    let lastWidth = null;
+    const lines = [];
+
+    levels.forEach((level, frame) => {
+      envelope = Math.max(level / peak, envelope * release);
+      const scale = 1 + depth * envelope;
+      const width = Math.round((1344 * scale) / 2) * 2;
+      const height = Math.round((756 * scale) / 2) * 2;
+
+      if (width !== lastWidth) {
+        lines.push(`${(frame / fps).toFixed(3)} scale@pulse w ${width}, scale@pulse h ${height};`);
+        lastWidth = width;
+      }
+    });
+
+    await fs.writeFile(commandsPath, lines.join('\n'));
+    console.log(`Pulse commands written: ${lines.length} keyframes`);
+  }
+
+  // Mono signed 16-bit PCM samples, decoded with the bundled ffmpeg
+  decodeAudioPcm(audioPath, sampleRate = 8000) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(ffmpegPath, ['-v', 'error', '-i', audioPath, '-ac', '1', '-ar', String(sampleRate), '-f', 's16le', '-']);
+      const chunks = [];
+      let stderr = '';
+
+      proc.stdout.on('data', chunk => chunks.push(chunk));
+      proc.stderr.on('data', data => { stderr += data.toString(); });
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`Audio decode failed: ${stderr.trim()}`));
+          return;
+        }
+        const buffer = Buffer.concat(chunks);
+        const samples = new Int16Array(Math.floor(buffer.length / 2));
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = buffer.readInt16LE(i * 2);
+        }
+        resolve(samples);
+      });
+      proc.on('error', reject);
+    });
+  }
+
+  // Duration in seconds read from ffmpeg's input banner (null if it can't be parsed)
+  getMediaDuration(mediaPath) {
+    return new Promise((resolve) => {
+      const proc = spawn(ffmpegPath, ['-hide_banner', '-i', mediaPath]);
+      let stderr = '';
+
+      proc.stderr.on('data', data => { stderr += data.toString(); });
+      proc.on('close', () => {
+        const match = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+        resolve(match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null);
+      });
+      proc.on('error', () => resolve(null));
+    });
+  }
+
+  // Sample rate in Hz from ffmpeg's input banner (null if it can't be parsed)
+  getSampleRate(mediaPath) {
+    return new Promise((resolve) => {
+      const proc = spawn(ffmpegPath, ['-hide_banner', '-i', mediaPath]);
+      let stderr = '';
+
+      proc.stderr.on('data', data => { stderr += data.toString(); });
+      proc.on('close', () => {
+        const match = stderr.match(/Audio:.*?(\d+) Hz/);
+        resolve(match ? Number(match[1]) : null);
+      });
+      proc.on('error', () => resolve(null));
+    });
+  }
+
   // Legacy methods kept for backward compatibility (but not used in optimized flow)
   createBlackBackgroundImage({ originalImagePath, outputPath }) {
     return new Promise((resolve, reject) => {
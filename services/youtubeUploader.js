@@ -5,69 +5,241 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { fitTitle } = require('./titleFormulas');
+const { fitTags } = require('./tagBudget');
 require('dotenv').config();
 
+// resumable upload protocol: https://developers.google.com/youtube/v3/guides/using_resumable_upload_protocol
+const UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // has to be a multiple of 256KB
+const MAX_UPLOAD_RETRIES = 8;
+// 308 only shows up as an error if a request that doesn't expect it gets one mid-upload
+const RETRYABLE_STATUSES = [308, 500, 502, 503, 504];
+// connection problems worth retrying; anything else without a response (e.g. the video file
+// going missing) is local and fails straight away
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 'bytes=0-1048575' -> 1048576 bytes stored so far
+const parseUploadedBytes = (range) => {
+  const match = /bytes=\d+-(\d+)/.exec(range || '');
+  return match ? Number(match[1]) + 1 : 0;
+};
+
+// placeholder id for tokens imported from the old single-account youtube_tokens.json,
+// swapped for the real channel id the first time the API can be reached
+const LEGACY_CHANNEL_ID = 'legacy';
+
+// Each connected channel keeps its own OAuth tokens in <dataDir>/channels.json
 class YouTubeUploader {
-  constructor() {
-    this.oauth2Client = new google.auth.OAuth2(
+  constructor(dataDir = path.join(__dirname, '..', 'data')) {
+    this.channelsPath = path.join(dataDir, 'channels.json');
+    const isFirstRun = !fs.existsSync(this.channelsPath);
+    this.channels = readJsonFile(this.channelsPath, {});
+    this.clients = {};
+
+    if (isFirstRun) this.importLegacyTokens();
+    console.log(`Loaded ${Object.keys(this.channels).length} YouTube channel connections`);
+  }
+
+  createOAuthClient() {
+    return new google.auth.OAuth2(
       process.env.YOUTUBE_CLIENT_ID,
       process.env.YOUTUBE_CLIENT_SECRET,
       process.env.YOUTUBE_REDIRECT_URI
     );
-
-    this.youtube = google.youtube({
-      version: 'v3',
-      auth: this.oauth2Client
-    });
-
-    // Load stored refresh token if available
-    this.loadStoredTokens();
   }
 
   getAuthUrl() {
-    return this.oauth2Client.generateAuthUrl({
+    return this.createOAuthClient().generateAuthUrl({
       access_type: 'offline',
       scope: [
         'https://www.googleapis.com/auth/youtube.upload',
         'https://www.googleapis.com/auth/youtube'
       ],
-      prompt: 'consent' // Force consent screen to ensure refresh token
+      prompt: 'consent select_account' // Force consent for a refresh token, and let the user pick another account
     });
   }
 
+  // Finishes the OAuth flow and stores the tokens under the channel they belong to
   async getTokensFromCode(code) {
-    const { tokens } = await this.oauth2Client.getToken(code);
-    this.oauth2Client.setCredentials(tokens);
-    
-    // Store refresh token for future use
-    this.storeTokens(tokens);
-    
-    return tokens;
-  }
-
-  storeTokens(tokens) {
-    const tokenPath = path.join(__dirname, '..', 'youtube_tokens.json');
-    fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2));
-    console.log('Tokens stored successfully');
-  }
-
-  loadStoredTokens() {
-    const tokenPath = path.join(__dirname, '..', 'youtube_tokens.json');
-    if (fs.existsSync(tokenPath)) {
-      const tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
-      this.oauth2Client.setCredentials(tokens);
-      console.log('Tokens loaded. Has refresh token:', !!tokens.refresh_token);
-    } else {
-      console.log('No stored tokens found');
+    const client = this.createOAuthClient();
+    const { tokens } = await client.getToken(code);
+    client.setCredentials(tokens);
+
+    const info = await this.fetchChannelInfo(client);
+    const existing = this.channels[info.id];
+    const now = new Date().toISOString();
+
+    this.channels[info.id] = {
+      ...info,
+      // google only sends a refresh token on first consent, so keep the old one on reconnect
+      tokens: { ...existing?.tokens, ...tokens },
+      connectedAt: existing?.connectedAt || now,
+      updatedAt: now
+    };
+    delete this.clients[info.id];
+    this.saveChannels();
+
+    console.log(`Connected YouTube channel: ${info.title} (${info.id})`);
+    return this.toPublic(this.channels[info.id]);
+  }
+
+  async fetchChannelInfo(client) {
+    const youtube = google.youtube({ version: 'v3', auth: client });
+    const response = await youtube.channels.list({ part: ['snippet'], mine: true });
+    const channel = response.data.items?.[0];
+    if (!channel) throw new Error('This Google account has no YouTube channel');
+
+    return {
+      id: channel.id,
+      title: channel.snippet.title,
+      customUrl: channel.snippet.customUrl || null,
+      thumbnailUrl: channel.snippet.thumbnails?.default?.url || null
+    };
+  }
+
+  saveChannels() {
+    writeJsonFile(this.channelsPath, this.channels);
+  }
+
+  storeTokens(channelId, tokens) {
+    const channel = this.channels[channelId];
+    if (!channel) return;
+
+    channel.tokens = { ...channel.tokens, ...tokens };
+    channel.updatedAt = new Date().toISOString();
+    this.saveChannels();
+    console.log(`Tokens stored for ${channel.title}`);
+  }
+
+  importLegacyTokens() {
+    const legacyPath = path.join(__dirname, '..', 'youtube_tokens.json');
+    const tokens = readJsonFile(legacyPath, null);
+    if (!tokens) return;
+
+    const now = new Date().toISOString();
+    this.channels[LEGACY_CHANNEL_ID] = {
+      id: LEGACY_CHANNEL_ID,
+      title: 'YouTube channel',
+      customUrl: null,
+      thumbnailUrl: null,
+      tokens,
+      connectedAt: now,
+      updatedAt: now
+    };
+    this.saveChannels();
+    console.log('Imported youtube_tokens.json as a channel connection');
+  }
+
+  async resolveLegacyChannel() {
+    const legacy = this.channels[LEGACY_CHANNEL_ID];
+    if (!legacy) return;
+
+    try {
+      const info = await this.fetchChannelInfo(this.getClient(LEGACY_CHANNEL_ID));
+      delete this.channels[LEGACY_CHANNEL_ID];
+      delete this.clients[LEGACY_CHANNEL_ID];
+      this.channels[info.id] = { ...legacy, ...info, updatedAt: new Date().toISOString() };
+      this.saveChannels();
+      console.log(`Legacy tokens belong to ${info.title} (${info.id})`);
+    } catch (error) {
+      console.error('Could not resolve legacy channel:', error.message);
+    }
+  }
+
+  // one OAuth client per channel, created on first use
+  getClient(channelId) {
+    const channel = this.channels[channelId];
+    if (!channel) throw new Error(`YouTube channel not connected: ${channelId}`);
+
+    if (!this.clients[channelId]) {
+      const client = this.createOAuthClient();
+      client.setCredentials(channel.tokens);
+      // googleapis also refreshes on its own mid-request - keep whatever it gets
+      client.on('tokens', tokens => this.storeTokens(channelId, tokens));
+      this.clients[channelId] = client;
+    }
+    return this.clients[channelId];
+  }
+
+  // uploads without an explicit channel go to the first one connected
+  resolveChannelId(channelId) {
+    if (channelId) {
+      if (!this.channels[channelId]) throw new Error('Selected YouTube channel is no longer connected. Please re-authenticate.');
+      return channelId;
+    }
+    const [firstId] = Object.keys(this.channels);
+    if (!firstId) throw new Error('No YouTube channel connected. Please authenticate.');
+    return firstId;
+  }
+
+  async checkTokenHealth(channelId) {
+    const channel = this.channels[channelId];
+    if (!channel.tokens?.refresh_token) {
+      return { status: 'reauth_required', error: 'No refresh token stored - reconnect this channel' };
+    }
+
+    try {
+      // refreshes the access token if it has expired
+      await this.getClient(channelId).getAccessToken();
+      return { status: 'ok', error: null };
+    } catch (error) {
+      if (error.response?.data?.error === 'invalid_grant') {
+        return { status: 'revoked', error: 'Access was revoked or has expired - reconnect this channel' };
+      }
+      return { status: 'unknown', error: error.message };
+    }
+  }
+
+  async listChannels() {
+    await this.resolveLegacyChannel();
+
+    return Promise.all(Object.values(this.channels).map(async (channel) => ({
+      ...this.toPublic(channel),
+      health: await this.checkTokenHealth(channel.id)
+    })));
+  }
+
+  // revokes the grant at google (best effort) and forgets the tokens
+  async disconnectChannel(channelId) {
+    const channel = this.channels[channelId];
+    if (!channel) return false;
+
+    const token = channel.tokens?.refresh_token || channel.tokens?.access_token;
+    if (token) {
+      try {
+        await this.getClient(channelId).revokeToken(token);
+      } catch (error) {
+        console.error(`Token revoke failed for ${channel.title}:`, error.message);
+      }
     }
+
+    delete this.channels[channelId];
+    delete this.clients[channelId];
+    this.saveChannels();
+    console.log(`Disconnected YouTube channel: ${channel.title}`);
+    return true;
   }
 
-  async refreshTokensIfNeeded() {
+  toPublic(channel) {
+    const { tokens, ...rest } = channel;
+    return rest;
+  }
+
+  async refreshTokensIfNeeded(channelId) {
     try {
-      const currentCredentials = this.oauth2Client.credentials;
+      const client = this.getClient(channelId);
+      const currentCredentials = client.credentials;
       
       // Debug logging
       console.log('Current credentials:', {
+        channelId,
         hasAccessToken: !!currentCredentials.access_token,
         hasRefreshToken: !!currentCredentials.refresh_token,
         expiryDate: currentCredentials.expiry_date
@@ -85,9 +257,9 @@ class YouTubeUploader {
       
       if (!expiryTime || expiryTime <= fiveMinutesFromNow) {
         console.log('Access token expired or expiring soon, refreshing...');
-        const { credentials } = await this.oauth2Client.refreshAccessToken();
-        this.oauth2Client.setCredentials(credentials);
-        this.storeTokens(credentials);
+        const { credentials } = await client.refreshAccessToken();
+        client.setCredentials(credentials);
+        this.storeTokens(channelId, credentials);
         console.log('Tokens refreshed successfully');
       } else {
         console.log('Access token is still valid');
@@ -99,9 +271,10 @@ class YouTubeUploader {
     }
   }
 
-  async uploadVideo({ videoPath, title, description, tags, categoryId = '10', scheduledPublishTime = null }) {
+  async uploadVideo({ channelId = null, videoPath, title, description, tags, categoryId = '10', scheduledPublishTime = null, sessionUri = null, onSession = null, onProgress = null }) {
     try {
-      await this.refreshTokensIfNeeded();
+      const targetChannelId = this.resolveChannelId(channelId);
+      await this.refreshTokensIfNeeded(targetChannelId);
 
       const fileSize = fs.statSync(videoPath).size;
       
@@ -117,9 +290,9 @@ class YouTubeUploader {
       
       const requestBody = {
         snippet: {
-          title: title.substring(0, 100),
+          title: fitTitle(title),
           description: description.substring(0, 5000),
-          tags: tags.slice(0, 15),
+          tags: fitTags(tags),
           categoryId: categoryId,
           defaultLanguage: 'en',
           defaultAudioLanguage: 'en'
@@ -131,45 +304,306 @@ class YouTubeUploader {
         }
       };
 
-      const media = {
-        mimeType: 'video/mp4',
-        body: fs.createReadStream(videoPath)
-      };
-
-      console.log('Starting YouTube upload...');
+      console.log(`Starting YouTube upload to ${this.channels[targetChannelId].title}...`);
       console.log(`File size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
 
-      const response = await this.youtube.videos.insert({
-        part: ['snippet', 'status'],
-        requestBody: requestBody,
-        media: media
+      const video = await this.resumableUpload({
+        client: this.getClient(targetChannelId),
+        videoPath,
+        requestBody,
+        sessionUri,
+        onSession,
+        onProgress
       });
 
-      console.log(`Upload successful! Video ID: ${response.data.id}`);
+      console.log(`Upload successful! Video ID: ${video.id}`);
       if (publishAt) {
         console.log(`Scheduled to publish at: ${publishAt}`);
       }
 
       return {
-        videoId: response.data.id,
-        url: `https://youtube.com/watch?v=${response.data.id}`,
-        title: response.data.snippet.title,
-        publishedAt: response.data.snippet.publishedAt,
+        videoId: video.id,
+        channelId: targetChannelId,
+        channelTitle: this.channels[targetChannelId].title,
+        url: `https://youtube.com/watch?v=${video.id}`,
+        title: video.snippet.title,
+        publishedAt: video.snippet.publishedAt,
         scheduledPublishTime: publishAt || null
       };
 
     } catch (error) {
       console.error('YouTube upload failed:', error);
       
-      if (error.code === 401) {
+      const status = error.response?.status || Number(error.code);
+      if (status === 401) {
         throw new Error('YouTube authentication expired. Please re-authenticate.');
-      } else if (error.code === 403) {
+      } else if (status === 403) {
         throw new Error('YouTube API quota exceeded or permissions denied.');
       } else {
         throw new Error(`YouTube upload failed: ${error.message}`);
       }
     }
   }
+
+  // Sends the file in chunks over a resumable session. Transient failures (5xx, network errors)
+  // back off exponentially and carry on from whatever byte YouTube says it has; pass a saved
+  // sessionUri to pick up an upload from an earlier attempt. onSession gets each new session URI.
+  async resumableUpload({ client, videoPath, requestBody, sessionUri = null, onSession = null, onProgress = null }) {
+    const fileSize = fs.statSync(videoPath).size;
+    const reportProgress = (bytes) => {
+      if (onProgress) {
+        onProgress({
+          bytesUploaded: bytes,
+          totalBytes: fileSize,
+          percent: Math.min((bytes / fileSize) * 100, 100)
+        });
+      }
+    };
+
+    let uploaded = 0;
+    let needsStatusCheck = Boolean(sessionUri);
+    let attempt = 0;
+
+    while (true) {
+      try {
+        if (!sessionUri) {
+          sessionUri = await this.startUploadSession(client, { requestBody, fileSize });
+          uploaded = 0;
+          needsStatusCheck = false;
+          if (onSession) onSession(sessionUri);
+          console.log('Started resumable upload session');
+        }
+
+        if (needsStatusCheck) {
+          const status = await this.queryUploadSession(client, sessionUri, fileSize);
+          if (status.video) return status.video;
+          uploaded = status.uploaded;
+          needsStatusCheck = false;
+          console.log(`Resuming upload at ${(uploaded / 1024 / 1024).toFixed(2)} MB`);
+        }
+
+        let sent = uploaded;
+        const result = await this.sendUploadChunk(client, sessionUri, {
+          videoPath,
+          start: uploaded,
+          fileSize,
+          onBytes: (bytes) => reportProgress(sent += bytes)
+        });
+        if (result.video) {
+          reportProgress(fileSize);
+          return result.video;
+        }
+
+        uploaded = result.uploaded;
+        attempt = 0; // a chunk got through, so the retry budget starts over
+      } catch (error) {
+        const status = error.response?.status;
+        const expired = status === 404 || status === 410;
+        const retryable = expired
+          || RETRYABLE_STATUSES.includes(status)
+          || (!error.response && RETRYABLE_NETWORK_CODES.includes(error.code));
+        if (!retryable || attempt >= MAX_UPLOAD_RETRIES) throw error;
+
+        if (expired) {
+          console.log('Upload session expired, starting a new one');
+          sessionUri = null;
+        }
+
+        const delay = Math.min(1000 * 2 ** attempt, 60000) + Math.random() * 1000;
+        attempt++;
+        console.log(`Upload interrupted (${status || error.code || error.message}), retry ${attempt}/${MAX_UPLOAD_RETRIES} in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+        needsStatusCheck = Boolean(sessionUri);
+      }
+    }
+  }
+
+  async startUploadSession(client, { requestBody, fileSize }) {
+    const response = await client.request({
+      url: UPLOAD_URL,
+      method: 'POST',
+      params: { uploadType: 'resumable', part: 'snippet,status' },
+      headers: {
+        'X-Upload-Content-Length': String(fileSize),
+        'X-Upload-Content-Type': 'video/mp4'
+      },
+      data: requestBody,
+      retry: false
+    });
+
+    if (!response.headers.location) throw new Error('YouTube did not return an upload session');
+    return response.headers.location;
+  }
+
+  // 308 = still incomplete (Range says how far it got), 2xx = done and the body is the video
+  parseUploadResponse(response, fileSize) {
+    if (response.status === 308) {
+      return { uploaded: parseUploadedBytes(response.headers.range), video: null };
+    }
+    return { uploaded: fileSize, video: response.data };
+  }
+
+  async queryUploadSession(client, sessionUri, fileSize) {
+    const response = await client.request({
+      url: sessionUri,
+      method: 'PUT',
+      headers: { 'Content-Range': `bytes */${fileSize}` },
+      validateStatus: status => status === 308 || (status >= 200 && status < 300),
+      retry: false
+    });
+    return this.parseUploadResponse(response, fileSize);
+  }
+
+  async sendUploadChunk(client, sessionUri, { videoPath, start, fileSize, onBytes }) {
+    const end = Math.min(start + UPLOAD_CHUNK_SIZE, fileSize) - 1;
+    const body = fs.createReadStream(videoPath, { start, end });
+    body.on('data', chunk => onBytes(chunk.length));
+
+    const response = await client.request({
+      url: sessionUri,
+      method: 'PUT',
+      headers: {
+        'Content-Length': String(end - start + 1),
+        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+        'Content-Type': 'video/mp4'
+      },
+      data: body,
+      validateStatus: status => status === 308 || (status >= 200 && status < 300),
+      retry: false
+    });
+    return this.parseUploadResponse(response, fileSize);
+  }
+
+  async listPlaylists(channelId = null) {
+    const targetChannelId = this.resolveChannelId(channelId);
+    await this.refreshTokensIfNeeded(targetChannelId);
+    const youtube = google.youtube({ version: 'v3', auth: this.getClient(targetChannelId) });
+
+    const playlists = [];
+    let pageToken;
+    do {
+      const response = await youtube.playlists.list({ part: ['snippet', 'contentDetails', 'status'], mine: true, maxResults: 50, pageToken });
+      playlists.push(...response.data.items.map(item => ({
+        id: item.id,
+        title: item.snippet.title,
+        itemCount: item.contentDetails?.itemCount ?? null,
+        privacyStatus: item.status?.privacyStatus || null
+      })));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return playlists;
+  }
+
+  async createPlaylist(channelId, { title, description = '', privacyStatus = 'public' }) {
+    const youtube = google.youtube({ version: 'v3', auth: this.getClient(this.resolveChannelId(channelId)) });
+    const response = await youtube.playlists.insert({
+      part: ['snippet', 'status'],
+      requestBody: {
+        snippet: { title: title.substring(0, 150), description },
+        status: { privacyStatus }
+      }
+    });
+    console.log(`Created playlist: ${response.data.snippet.title}`);
+    return { id: response.data.id, title: response.data.snippet.title, itemCount: 0, privacyStatus };
+  }
+
+  // playlistIds are existing playlists picked for this upload; playlistTitles are matched by
+  // title (case-insensitive) and created when missing. One failed playlist doesn't stop the rest.
+  async addToPlaylists({ channelId = null, videoId, playlistIds = [], playlistTitles = [] }) {
+    const targetChannelId = this.resolveChannelId(channelId);
+    await this.refreshTokensIfNeeded(targetChannelId);
+    const youtube = google.youtube({ version: 'v3', auth: this.getClient(targetChannelId) });
+
+    const existing = await this.listPlaylists(targetChannelId);
+    const targets = new Map();
+    for (const id of playlistIds) {
+      const playlist = existing.find(item => item.id === id);
+      targets.set(id, { id, title: playlist?.title || id, created: false });
+    }
+
+    const results = [];
+    for (const title of playlistTitles) {
+      const match = existing.find(item => item.title.toLowerCase() === title.toLowerCase());
+      if (match) {
+        if (!targets.has(match.id)) targets.set(match.id, { id: match.id, title: match.title, created: false });
+        continue;
+      }
+      try {
+        const playlist = await this.createPlaylist(targetChannelId, { title });
+        existing.push(playlist);
+        targets.set(playlist.id, { id: playlist.id, title: playlist.title, created: true });
+      } catch (error) {
+        console.error(`Failed to create playlist "${title}":`, error.message);
+        results.push({ id: null, title, created: false, added: false, error: error.message });
+      }
+    }
+
+    for (const target of targets.values()) {
+      try {
+        await youtube.playlistItems.insert({
+          part: ['snippet'],
+          requestBody: { snippet: { playlistId: target.id, resourceId: { kind: 'youtube#video', videoId } } }
+        });
+        console.log(`Added ${videoId} to playlist: ${target.title}`);
+        results.push({ ...target, added: true, error: null });
+      } catch (error) {
+        console.error(`Failed to add ${videoId} to playlist "${target.title}":`, error.message);
+        results.push({ ...target, added: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Custom thumbnails need a verified channel - YouTube answers 403 otherwise
+  async setThumbnail({ channelId = null, videoId, thumbnailPath }) {
+    const targetChannelId = this.resolveChannelId(channelId);
+    await this.refreshTokensIfNeeded(targetChannelId);
+
+    try {
+      const youtube = google.youtube({ version: 'v3', auth: this.getClient(targetChannelId) });
+      await youtube.thumbnails.set({
+        videoId,
+        media: {
+          mimeType: 'image/jpeg',
+          body: fs.createReadStream(thumbnailPath)
+        }
+      });
+      console.log(`Thumbnail set for video ${videoId}`);
+    } catch (error) {
+      console.error('Thumbnail upload failed:', error.message);
+      const status = error.response?.status || Number(error.code);
+      if (status === 403) {
+        throw new Error('YouTube refused the custom thumbnail - the channel may need to be verified');
+      }
+      throw new Error(`Thumbnail upload failed: ${error.message}`);
+    }
+  }
+
+  // Vertical clips under 60s become Shorts; the #shorts tag helps YouTube pick them up
+  async uploadShort({ channelId = null, videoPath, title, description, tags, categoryId = '10', scheduledPublishTime = null, sessionUri = null, onSession = null, onProgress = null }) {
+    const hashtag = ' #shorts';
+    const shortTitle = /#shorts/i.test(title)
+      ? fitTitle(title)
+      : `${fitTitle(title, 100 - hashtag.length)}${hashtag}`;
+    // cut before adding the tag, so uploadVideo's 5000 character limit never drops it
+    const descriptionTag = '\n\n#shorts';
+    const shortDescription = `${description.substring(0, 5000 - descriptionTag.length)}${descriptionTag}`;
+
+    return this.uploadVideo({
+      channelId,
+      videoPath,
+      title: shortTitle,
+      description: shortDescription,
+      tags: ['shorts', ...tags.filter(tag => tag.toLowerCase() !== 'shorts')],
+      categoryId,
+      scheduledPublishTime,
+      sessionUri,
+      onSession,
+      onProgress
+    });
+  }
 }
 
 module.exports = YouTubeUploader;
\ No newline at end of file
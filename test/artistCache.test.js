@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArtistCache = require('../services/artistCache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'artist-cache-'));
+const tempDir = () => fs.mkdtempSync(path.join(root, 'data-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// moves an entry's fetch time into the past
+const age = (cache, provider, artist, hours) => {
+  const entry = cache.entries[`${provider}:${artist}`];
+  entry.fetchedAt = new Date(Date.now() - hours * HOUR_MS).toISOString();
+};
+
+test('serves fresh entries case-insensitively and expires them after the TTL', () => {
+  const cache = new ArtistCache(tempDir(), { ttlHours: 24 });
+  cache.set('lastfm', 'Drake', 10, ['Future', 'Travis Scott']);
+
+  assert.deepEqual(cache.get('lastfm', ' drake ', 10), ['Future', 'Travis Scott']);
+  assert.equal(cache.get('deezer', 'drake', 10), null);
+
+  age(cache, 'lastfm', 'drake', 23);
+  assert.deepEqual(cache.get('lastfm', 'drake', 10), ['Future', 'Travis Scott']);
+
+  age(cache, 'lastfm', 'drake', 25);
+  assert.equal(cache.get('lastfm', 'drake', 10), null);
+  assert.equal(cache.list()[0].expired, true);
+});
+
+test('offline mode still serves expired entries', () => {
+  const cache = new ArtistCache(tempDir(), { ttlHours: 1 });
+  cache.set('lastfm', 'drake', 10, ['Future']);
+  age(cache, 'lastfm', 'drake', 2);
+
+  assert.equal(cache.get('lastfm', 'drake', 10), null);
+  cache.setOffline(true);
+  assert.deepEqual(cache.get('lastfm', 'drake', 10), ['Future']);
+});
+
+test('an entry fetched with a smaller limit cannot answer a bigger request', () => {
+  const cache = new ArtistCache(tempDir());
+  cache.set('lastfm', 'drake', 2, ['Future', 'Travis Scott']);
+
+  assert.deepEqual(cache.get('lastfm', 'drake', 1), ['Future']);
+  assert.equal(cache.get('lastfm', 'drake', 5), null);
+});
+
+test('persists to disk and clears only expired entries when asked', () => {
+  const dataDir = tempDir();
+  const cache = new ArtistCache(dataDir, { ttlHours: 1 });
+  cache.set('lastfm', 'drake', 10, ['Future']);
+  cache.set('deezer', 'drake', 10, ['Future']);
+  age(cache, 'deezer', 'drake', 2);
+  cache.save();
+
+  const reloaded = new ArtistCache(dataDir, { ttlHours: 1 });
+  assert.equal(reloaded.clear({ expiredOnly: true }), 1);
+  assert.deepEqual(reloaded.list().map(entry => entry.provider), ['lastfm']);
+});
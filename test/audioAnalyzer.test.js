@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AudioAnalyzer = require('../services/audioAnalyzer');
+
+// Krumhansl-Kessler profiles, C first
+const MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Synthetic beat: all twelve pitch classes held at the loudness the key's profile gives them, plus
+// a 3 kHz click (above the chroma range) on every beat. decodeAudioPcm's signature, for the analyzer.
+const syntheticBeat = ({ tonic, profile, bpm, seconds = 20 }) => (audioPath, sampleRate) => {
+  const pcm = new Int16Array(seconds * sampleRate);
+  const beatSamples = Math.round(sampleRate * 60 / bpm);
+  const clickSamples = Math.round(sampleRate * 0.03);
+  const weights = profile.map((_, pitch) => profile[(pitch - tonic + 12) % 12]);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  for (let i = 0; i < pcm.length; i++) {
+    const t = i / sampleRate;
+    let value = 0;
+    weights.forEach((weight, pitch) => {
+      // C3 = MIDI 48
+      value += (weight / total) * Math.sin(2 * Math.PI * 440 * 2 ** ((48 + pitch - 69) / 12) * t);
+    });
+    const sinceBeat = i % beatSamples;
+    if (sinceBeat < clickSamples) value += Math.exp(-sinceBeat / (clickSamples / 5)) * Math.sin(2 * Math.PI * 3000 * t);
+    pcm[i] = Math.round(Math.max(-1, Math.min(1, value * 0.5)) * 32767);
+  }
+  return Promise.resolve(pcm);
+};
+
+test('picks the minor key whose profile the chroma matches', async () => {
+  const analyzer = new AudioAnalyzer({ decodeAudioPcm: syntheticBeat({ tonic: 9, profile: MINOR, bpm: 140 }) });
+  const result = await analyzer.analyze('a-minor.wav');
+
+  assert.equal(result.key, 'Am');
+  assert.equal(result.keyCandidates[0].key, 'Am');
+  assert.ok(result.keyConfidence > 0.5);
+  assert.equal(result.keyCandidates.length, 3);
+});
+
+test('picks a major key and its tempo', async () => {
+  const analyzer = new AudioAnalyzer({ decodeAudioPcm: syntheticBeat({ tonic: 7, profile: MAJOR, bpm: 92 }) });
+  const result = await analyzer.analyze('g-major.wav');
+
+  assert.equal(result.key, 'G');
+  assert.ok(Math.abs(result.bpm - 92) <= 1, `bpm ${result.bpm}`);
+  // below 100 bpm the double-time reading is offered as the alternative
+  assert.equal(result.bpmCandidates[1].relation, 'double');
+});
+
+test('reports the tempo and how steady it is', async () => {
+  const analyzer = new AudioAnalyzer({ decodeAudioPcm: syntheticBeat({ tonic: 9, profile: MINOR, bpm: 140 }) });
+  const result = await analyzer.analyze('a-minor.wav');
+
+  assert.ok(Math.abs(result.bpm - 140) <= 1, `bpm ${result.bpm}`);
+  assert.ok(result.bpmConfidence >= 0.5);
+  assert.equal(result.duration, 20);
+  assert.deepEqual(result.sections, []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BeatCatalog = require('../services/beatCatalog');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'beat-catalog-'));
+const tempDir = () => fs.mkdtempSync(path.join(root, 'data-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const job = (id, fields = {}) => ({
+  id,
+  status: 'done',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  finishedAt: '2026-01-02T00:00:00.000Z',
+  files: { beatFile: { originalName: `${id}.mp3` } },
+  input: { beatTitle: id, tags: 'Drake, Future' },
+  result: { videoId: `vid-${id}`, title: `${id} type beat`, tags: [], bpm: 140, key: 'Am' },
+  ...fields
+});
+
+test('records the status a finished job ended in', () => {
+  const catalog = new BeatCatalog(tempDir());
+
+  assert.equal(catalog.recordJob(job('uploaded')).status, 'uploaded');
+  assert.equal(catalog.recordJob(job('rendered', { result: { downloadOnly: true } })).status, 'rendered');
+  assert.equal(catalog.recordJob(job('failed', { status: 'failed', error: 'quota', result: null })).status, 'failed');
+
+  const scheduled = job('scheduled');
+  const beat = catalog.recordJob(scheduled, { ...scheduled.input, scheduledPublishTime: '2026-02-01T00:00:00.000Z' });
+  assert.equal(beat.status, 'scheduled');
+  assert.equal(beat.youtubeUrl, 'https://youtube.com/watch?v=vid-scheduled');
+  assert.deepEqual(beat.artists, ['Drake', 'Future']);
+});
+
+test('searches by text, artist, bpm range and processed date', () => {
+  const catalog = new BeatCatalog(tempDir());
+  catalog.recordJob(job('early', { finishedAt: '2026-01-01T10:00:00.000Z' }));
+  catalog.recordJob(job('late', {
+    finishedAt: '2026-03-01T10:00:00.000Z',
+    input: { beatTitle: 'late', tags: 'Travis Scott' },
+    result: { videoId: 'vid-late', title: 'late', tags: [], bpm: 90, key: 'G' }
+  }));
+
+  const ids = (query) => catalog.search(query).beats.map(beat => beat.id);
+  assert.deepEqual(ids({}), ['late', 'early']);
+  assert.deepEqual(ids({ q: 'EARLY' }), ['early']);
+  assert.deepEqual(ids({ artist: 'travis scott' }), ['late']);
+  assert.deepEqual(ids({ bpmMin: '100', bpmMax: '150' }), ['early']);
+  assert.deepEqual(ids({ key: 'g' }), ['late']);
+  // a bare date as the upper bound includes that day
+  assert.deepEqual(ids({ to: '2026-01-01' }), ['early']);
+  assert.deepEqual(ids({ from: '2026-02-01' }), ['late']);
+  assert.equal(catalog.search({ limit: 1 }).total, 2);
+});
+
+test('survives a reload from disk', () => {
+  const dataDir = tempDir();
+  new BeatCatalog(dataDir).recordJob(job('kept'));
+  const reloaded = new BeatCatalog(dataDir);
+  assert.equal(reloaded.get('kept').title, 'kept type beat');
+  assert.deepEqual(reloaded.facets().artists, ['Drake', 'Future']);
+});
+
+test('hashes the beat file contents', async () => {
+  const dir = tempDir();
+  const first = path.join(dir, 'first.mp3');
+  const renamed = path.join(dir, 'renamed.mp3');
+  fs.writeFileSync(first, 'same audio');
+  fs.writeFileSync(renamed, 'same audio');
+
+  const hash = await BeatCatalog.hashFile(first);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(await BeatCatalog.hashFile(renamed), hash);
+  await assert.rejects(BeatCatalog.hashFile(path.join(dir, 'missing.mp3')));
+});
+
+test('finds earlier beats with the same audio, newest first, ignoring failed ones', () => {
+  const catalog = new BeatCatalog(tempDir());
+  catalog.recordJob(job('first', { fileHash: 'abc', finishedAt: '2026-01-01T00:00:00.000Z' }));
+  catalog.recordJob(job('second', { fileHash: 'abc', finishedAt: '2026-02-01T00:00:00.000Z' }));
+  catalog.recordJob(job('broken', { fileHash: 'abc', status: 'failed', error: 'quota', result: null }));
+  catalog.recordJob(job('other', { fileHash: 'def' }));
+
+  assert.deepEqual(catalog.findByHash('abc').map(beat => beat.id), ['second', 'first']);
+  assert.deepEqual(catalog.findByHash(null), []);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TAG_BUDGET, selectTags, fitTags, tagsLength } = require('../services/tagBudget');
+
+test('counts commas and quotes around tags with spaces', () => {
+  assert.equal(tagsLength(['drake', 'type beat']), 5 + 1 + 9 + 2);
+  assert.equal(tagsLength([]), 0);
+});
+
+test('ranks by category and packs within the budget', () => {
+  const generic = 'generic instrumental beat for youtube';
+  const candidates = [
+    { tag: generic, category: 'generic' },
+    { tag: 'drake type beat', category: 'artist' },
+    ...Array.from({ length: 60 }, (_, index) => ({ tag: `similar artist ${index}`, category: 'similar' }))
+  ];
+  const { tags, used, dropped } = selectTags(candidates);
+
+  assert.equal(tags[0], 'drake type beat');
+  assert.ok(used <= TAG_BUDGET);
+  assert.equal(used, tagsLength(tags));
+  assert.ok(!tags.includes(generic));
+  assert.ok(dropped.some(item => item.tag === generic && item.reason === 'budget'));
+});
+
+test('drops near-duplicates and says what they duplicate', () => {
+  const { tags, dropped } = selectTags([
+    { tag: 'lil uzi vert type beat', category: 'artist' },
+    { tag: 'liluzivert type beat', category: 'artist' },
+    { tag: 'type beat lil uzi vert', category: 'combo' },
+    { tag: 'lil uzi vert type beat free', category: 'generic' },
+    { tag: '#lil uzi vert type beat', category: 'generic' },
+    { tag: 'lіl uzі vert type beat', category: 'generic' } // Cyrillic і
+  ]);
+
+  assert.deepEqual(tags, ['lil uzi vert type beat']);
+  assert.deepEqual(dropped.map(item => item.reason), ['duplicate', 'duplicate', 'duplicate', 'duplicate']);
+  assert.ok(dropped.every(item => item.duplicateOf === 'lil uzi vert type beat'));
+});
+
+test('a tag dropped for budget does not knock out its near-duplicates', () => {
+  const long = 'a'.repeat(30);
+  const { tags, dropped } = selectTags([
+    { tag: `${long} type beat`, category: 'artist' },
+    { tag: `${long}typebeat`, category: 'artist' }
+  ], { budget: 40 });
+
+  assert.deepEqual(tags, [`${long}typebeat`]);
+  assert.deepEqual(dropped, [{ tag: `${long} type beat`, reason: 'budget', duplicateOf: null }]);
+});
+
+test('fitTags keeps order and skips what no longer fits', () => {
+  assert.deepEqual(fitTags(['aaaa', 'bbbbbbbb', 'cc'], 8), ['aaaa', 'cc']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, parseTemplate, findUnknownVariables, TemplateError, DEFAULT_TEMPLATES } = require('../services/templates');
+
+test('fills variables and joins lists', () => {
+  const output = renderTemplate('{{title}} - {{artists}} ({{missing}})', { title: 'Night', artists: ['Drake', 'Future'] });
+  assert.equal(output, 'Night - Drake, Future ()');
+});
+
+test('if/else and unless pick the right branch', () => {
+  const template = '{{#if bpm}}{{bpm}}bpm{{else}}Not Found{{/if}}{{#unless key}} no key{{/unless}}';
+  assert.equal(renderTemplate(template, { bpm: 140 }), '140bpm no key');
+  assert.equal(renderTemplate(template, { bpm: '', key: 'Am' }), 'Not Found');
+  assert.equal(renderTemplate('{{#if tags}}yes{{/if}}', { tags: [] }), '');
+});
+
+test('a block tag alone on its line leaves no blank line behind', () => {
+  const template = 'top\n{{#if email}}\nmail - {{email}}\n{{/if}}\nbottom';
+  assert.equal(renderTemplate(template, {}), 'top\nbottom');
+  assert.equal(renderTemplate(template, { email: 'a@b.c' }), 'top\nmail - a@b.c\nbottom');
+});
+
+test('broken blocks throw a TemplateError', () => {
+  const broken = [
+    ['{{#if bpm}}open', /never closed/],
+    ['{{/if}}', /no matching/],
+    ['{{#if bpm}}x{{/unless}}', /no matching/],
+    ['{{else}}', /outside of an/],
+    ['{{#if bpm}}a{{else}}b{{else}}c{{/if}}', /more than one/],
+    ['{{#each artists}}{{/each}}', /Unknown block/],
+    ['{{title extra}}', /Unexpected/]
+  ];
+  for (const [template, message] of broken) {
+    assert.throws(() => parseTemplate(template), error => error instanceof TemplateError && message.test(error.message), template);
+  }
+});
+
+test('reports variables the editor does not know', () => {
+  assert.deepEqual(findUnknownVariables('{{title}} {{#if mood}}{{mood}}{{/if}} {{year}}'), ['mood']);
+});
+
+test('the default description keeps the old hardcoded layout', () => {
+  const output = renderTemplate(DEFAULT_TEMPLATES.description, {
+    email: 'me@mail.com',
+    instagramLink: 'instagram.com/me',
+    bpm: 140,
+    key: 'Am',
+    seoTags: 'drake type beat'
+  });
+  assert.equal(output, [
+    'mail - me@mail.com',
+    'ig - instagram.com/me',
+    '',
+    '140bpm',
+    'Am',
+    '',
+    'important: free for nonprofit only, purchase a lease by contacting me thru instagram/email',
+    '',
+    'drake type beat'
+  ].join('\n'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_TITLE_LENGTH, TITLE_FORMULAS, buildTitle, fitTitle } = require('../services/titleFormulas');
+
+const formula = (id) => TITLE_FORMULAS.find(item => item.id === id);
+
+test('short titles pass through cleaned', () => {
+  assert.equal(fitTitle('  Drake   Type <Beat>  '), 'Drake Type Beat');
+});
+
+test('long titles are cut at a word boundary with an ellipsis', () => {
+  const title = fitTitle('word '.repeat(40));
+  assert.ok(title.length <= MAX_TITLE_LENGTH);
+  assert.ok(title.endsWith('word…'));
+});
+
+test('a title without spaces is still cut to the limit', () => {
+  const title = fitTitle('x'.repeat(150));
+  assert.equal(title.length, MAX_TITLE_LENGTH);
+  assert.ok(title.endsWith('…'));
+});
+
+test('renders the full formula when it fits', () => {
+  const title = buildTitle(formula('free-collab'), { free: true, artists: ['Drake', 'Future'], name: 'Night', year: 2026 });
+  assert.equal(title, '[FREE] Drake x Future Type Beat 2026 - "Night"');
+});
+
+test('shrinks optional parts in order before cutting the name', () => {
+  const values = { free: true, artists: ['Lil Uzi Vert', 'Playboi Carti', 'Travis Scott'], name: 'A'.repeat(40), year: 2026 };
+  const title = buildTitle(formula('free-collab'), values);
+  assert.ok(title.length <= MAX_TITLE_LENGTH);
+  // year goes first, then artists drop from the end; the name stays whole
+  assert.ok(!title.includes('2026'));
+  assert.ok(title.includes(`"${values.name}"`));
+  assert.ok(title.startsWith('[FREE] Lil Uzi Vert'));
+});
+
+test('every formula stays within 100 characters', () => {
+  const values = { free: true, artists: ['A'.repeat(30), 'B'.repeat(30), 'C'.repeat(30)], name: 'N'.repeat(60), mood: 'Dark', bpm: 140, year: 2026 };
+  for (const item of TITLE_FORMULAS) {
+    assert.ok(buildTitle(item, values).length <= MAX_TITLE_LENGTH, item.id);
+  }
+});